@@ -0,0 +1,100 @@
+// Least recently used cache bounded by entry count and total size (the
+// `sizeOf` of the values, e.g. string lengths). Concurrent loads of the
+// same key share one promise.
+class LruCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 500;
+        this.maxSize = options.maxSize || Infinity;
+        this.sizeOf = options.sizeOf || (() => 1);
+        // Map iteration order is insertion order, so the first key is the
+        // least recently used one
+        this.entries = new Map();
+        this.loading = new Map();
+        this.size = 0;
+        // Bumped by clear() so that loads started before it aren't stored
+        this.generation = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.coalesced = 0;
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            this.misses++;
+            return undefined;
+        }
+        this.hits++;
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.delete(key);
+        const size = this.sizeOf(value);
+        if (size > this.maxSize) return;
+        this.entries.set(key, { value, size });
+        this.size += size;
+        for (const [oldest, entry] of this.entries) {
+            if (this.entries.size <= this.maxEntries && this.size <= this.maxSize) break;
+            this.entries.delete(oldest);
+            this.size -= entry.size;
+        }
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.size -= entry.size;
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.loading.clear();
+        this.size = 0;
+        this.generation++;
+    }
+
+    // The cached value for `key`, or the result of `load()`, which is cached
+    // unless the cache was cleared meanwhile. Callers asking for a key that
+    // is being loaded wait for the same load.
+    getOrLoad(key, load) {
+        if (this.entries.has(key)) {
+            return Promise.resolve(this.get(key));
+        }
+        if (this.loading.has(key)) {
+            this.coalesced++;
+            return this.loading.get(key);
+        }
+        this.misses++;
+        const generation = this.generation;
+        const done = () => {
+            if (this.loading.get(key) === promise) this.loading.delete(key);
+        };
+        const promise = Promise.resolve().then(load).then((value) => {
+            done();
+            if (this.generation === generation) this.set(key, value);
+            return value;
+        }, (error) => {
+            done();
+            throw error;
+        });
+        this.loading.set(key, promise);
+        return promise;
+    }
+
+    stats() {
+        return {
+            entries: this.entries.size,
+            size: this.size,
+            hits: this.hits,
+            misses: this.misses,
+            coalesced: this.coalesced
+        };
+    }
+}
+
+module.exports = LruCache;
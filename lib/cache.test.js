@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LruCache = require('./cache.js');
+
+test('the least recently used entry goes first', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    assert.strictEqual(cache.get('a'), 1);
+    cache.set('c', 3);
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.get('a'), 1);
+    assert.strictEqual(cache.get('c'), 3);
+    assert.deepStrictEqual(cache.stats(), { entries: 2, size: 2, hits: 3, misses: 1, coalesced: 0 });
+});
+
+test('entries are evicted by total size and oversized values are not kept', () => {
+    const cache = new LruCache({ maxSize: 10, sizeOf: value => value.length });
+    cache.set('a', 'xxxx');
+    cache.set('b', 'yyyy');
+    cache.set('c', 'zzzz');
+    assert.deepStrictEqual([...cache.entries.keys()], ['b', 'c']);
+    assert.strictEqual(cache.size, 8);
+    cache.set('huge', 'x'.repeat(11));
+    assert.strictEqual(cache.get('huge'), undefined);
+    assert.strictEqual(cache.size, 8);
+});
+
+test('concurrent loads of a key share one load', async () => {
+    const cache = new LruCache();
+    let loads = 0;
+    const load = async () => {
+        loads++;
+        return 'value';
+    };
+    const results = await Promise.all([cache.getOrLoad('k', load), cache.getOrLoad('k', load)]);
+    assert.deepStrictEqual(results, ['value', 'value']);
+    assert.strictEqual(await cache.getOrLoad('k', load), 'value');
+    assert.strictEqual(loads, 1);
+    assert.deepStrictEqual(cache.stats(), { entries: 1, size: 1, hits: 1, misses: 1, coalesced: 1 });
+});
+
+test('failed loads and loads overtaken by clear() are not cached', async () => {
+    const cache = new LruCache();
+    await assert.rejects(cache.getOrLoad('k', async () => { throw new Error('boom'); }), /boom/);
+    assert.strictEqual(cache.entries.has('k'), false);
+
+    let finish;
+    const pending = cache.getOrLoad('k', () => new Promise(resolve => { finish = resolve; }));
+    await new Promise(resolve => setImmediate(resolve));
+    cache.clear();
+    finish('stale');
+    assert.strictEqual(await pending, 'stale');
+    assert.strictEqual(cache.entries.has('k'), false);
+});
@@ -0,0 +1,119 @@
+// One-shot commands for scripting and debugging. They call the same tool
+// methods MCP clients get and print the text result (or its JSON) instead
+// of speaking MCP.
+const SUBCOMMANDS = ['query', 'index', 'doctor'];
+
+// `gtags-mcp query <kind> <argument>`: the tool each kind runs, the name of
+// its main argument (or `position` for a file:line:column), and fixed extra
+// arguments
+const QUERY_KINDS = {
+    def: { tool: 'get_definition', argument: 'symbol' },
+    refs: { tool: 'get_references', argument: 'symbol' },
+    prefix: { tool: 'list_symbols_with_prefix', argument: 'prefix' },
+    grep: { tool: 'search_pattern', argument: 'pattern' },
+    search: { tool: 'search_symbols', argument: 'query' },
+    files: { tool: 'find_files', argument: 'query' },
+    outline: { tool: 'list_file_symbols', argument: 'files', list: true },
+    callers: { tool: 'get_call_graph', argument: 'symbol', extra: { direction: 'callers' } },
+    callees: { tool: 'get_call_graph', argument: 'symbol', extra: { direction: 'callees' } },
+    deps: { tool: 'get_file_dependencies', argument: 'file', extra: { direction: 'imports' } },
+    importers: { tool: 'get_file_dependencies', argument: 'file', extra: { direction: 'importers' } },
+    changed: { tool: 'changed_symbols', argument: 'git_scope', optional: true },
+    unused: { tool: 'find_unused_symbols', argument: 'name_pattern', optional: true },
+    at: { tool: 'symbol_at_position', argument: 'file:line:column', position: true },
+    goto: { tool: 'definition_at_position', argument: 'file:line:column', position: true }
+};
+
+// Stands in for an MCP transport: log messages go to stderr
+class ConsoleTransport {
+    constructor() {
+        this.session = {
+            id: 'cli',
+            state: {},
+            notify: (message) => {
+                if (message.method === 'notifications/message') {
+                    process.stderr.write(`[${message.params.level}] ${message.params.data}\n`);
+                }
+            }
+        };
+    }
+
+    get sessions() {
+        return [this.session];
+    }
+
+    start() {
+        return Promise.resolve();
+    }
+
+    describe() {
+        return 'cli';
+    }
+
+    close() {
+        return Promise.resolve();
+    }
+}
+
+// Runs a subcommand and resolves with the process exit code. `options` are
+// the shared command line options: project, limit, json and verbose.
+async function runSubcommand(server, command, args, options = {}) {
+    server.sessionState(server.transport.session).logLevel = options.verbose ? 'debug' : 'warning';
+    // The `tools` setting only limits what MCP clients are offered
+    server.enabledTools = null;
+    switch (command) {
+        case 'query':
+            return runQuery(server, args, options);
+        case 'index':
+            return runTool(server, 'reindex', args.length > 0 ? { paths: args } : {}, options);
+        case 'doctor':
+            return runTool(server, 'diagnose', {}, options);
+        default:
+            throw new Error(`Unknown command: ${command}`);
+    }
+}
+
+async function runQuery(server, args, options) {
+    const [kind, ...rest] = args;
+    const query = QUERY_KINDS[kind];
+    if (!query) {
+        throw new Error(`query needs one of: ${Object.keys(QUERY_KINDS).join(', ')}`);
+    }
+    const toolArgs = { ...query.extra };
+    if (rest.length > 0 && query.position) {
+        const match = rest.join(' ').match(/^(.+):(\d+):(\d+)$/);
+        if (!match) {
+            throw new Error(`query ${kind} needs a position like src/main.c:42:7`);
+        }
+        Object.assign(toolArgs, { file: match[1], line: parseInt(match[2]), column: parseInt(match[3]) });
+    } else if (rest.length > 0) {
+        toolArgs[query.argument] = query.list ? rest : rest.join(' ');
+    } else if (!query.optional) {
+        throw new Error(`query ${kind} needs a ${query.argument}`);
+    }
+    if (options.limit !== undefined) toolArgs.limit = options.limit;
+
+    // Without a running server nothing else builds missing indexes
+    const projects = await server.resolveProjects(options.project);
+    for (const project of projects) {
+        await project.ensureGtagsDatabase();
+    }
+    return runTool(server, query.tool, toolArgs, options);
+}
+
+async function runTool(server, name, toolArgs, options) {
+    if (options.project !== undefined) toolArgs.project = options.project;
+    toolArgs.format = options.json ? 'json' : 'text';
+    const result = await server.callTool({ name, arguments: toolArgs });
+    process.stdout.write(result.content.map(item => item.text).join('\n') + '\n');
+    // diagnose reports failed checks as a result, not as a tool error
+    const failed = result.isError || (result.structuredContent && result.structuredContent.status === 'error');
+    return failed ? 1 : 0;
+}
+
+module.exports = {
+    SUBCOMMANDS,
+    QUERY_KINDS,
+    ConsoleTransport,
+    runSubcommand
+};
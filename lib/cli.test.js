@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const BIN = path.join(__dirname, '..', 'bin', 'gtags-mcp');
+
+function run(...args) {
+    return spawnSync(process.execPath, [BIN, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('--limit is bounded by the largest page size', () => {
+    for (const limit of ['0', '1001', 'ten']) {
+        const result = run('query', 'defs', 'main', '--limit', limit);
+        assert.strictEqual(result.status, 1);
+        assert.match(result.stderr, /--limit must be a whole number between 1 and 1000/);
+    }
+});
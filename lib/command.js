@@ -0,0 +1,104 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The JSON-RPC request being handled, so that runCommand can kill its child
+// process when the client cancels the request and notifications reach the
+// client that made it
+const requestContext = new AsyncLocalStorage();
+
+// Limits for a single command, so that a pathological query can't hang a
+// request or exhaust memory. Index builds pass `timeout: 0` (no limit).
+const DEFAULT_TIMEOUT = 60 * 1000;
+const DEFAULT_MAX_OUTPUT = 64 * 1024 * 1024;
+
+// Runs a command and resolves with its stdout. Inside a request the child
+// is tied to the request's AbortSignal and killed on cancellation. It is
+// also killed after `timeout` ms or once stdout exceeds `maxOutput` bytes.
+// With `onStdout` the output is passed on as it arrives instead of being
+// collected (the promise then resolves with ''), and `maxOutput` doesn't
+// apply.
+function runCommand(command, args, options = {}) {
+    const { onStderr, onStdout, timeout = DEFAULT_TIMEOUT, maxOutput = DEFAULT_MAX_OUTPUT, ...spawnOptions } = options;
+    const context = requestContext.getStore();
+    if (!spawnOptions.signal && context) {
+        spawnOptions.signal = context.signal;
+    }
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, {
+            stdio: ['ignore', 'pipe', 'pipe'],
+            ...spawnOptions
+        });
+
+        let stdout = '';
+        let stderr = '';
+        let outputSize = 0;
+        // Why the child was killed, if it was killed here
+        let limitError = null;
+        const stop = (message) => {
+            if (limitError) return;
+            limitError = new Error(message);
+            limitError.code = 'ELIMIT';
+            child.kill('SIGKILL');
+        };
+        const timer = timeout > 0
+            ? setTimeout(() => stop(`${command} did not finish within ${timeout / 1000}s`), timeout)
+            : null;
+
+        // Characters split between chunks are put back together
+        const decoder = new StringDecoder('utf8');
+        child.stdout.on('data', (data) => {
+            if (limitError) return;
+            if (onStdout) {
+                onStdout(decoder.write(data));
+                return;
+            }
+            outputSize += data.length;
+            if (outputSize > maxOutput) {
+                stop(`${command} produced more than ${Math.round(maxOutput / (1024 * 1024))} MB of output; narrow the query`);
+                return;
+            }
+            stdout += data.toString();
+        });
+
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+            if (onStderr) onStderr(data.toString());
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (onStdout && !limitError) {
+                const tail = decoder.end();
+                if (tail) onStdout(tail);
+            }
+            if (limitError) {
+                reject(limitError);
+            } else if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(`Command failed with code ${code}: ${stderr}`));
+            }
+        });
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            // Say what is wrong instead of "spawn global ENOENT"
+            if (error.code === 'ENOENT' && (!spawnOptions.cwd || fs.existsSync(spawnOptions.cwd))) {
+                const notFound = new Error(`${command} is not installed or not on PATH`);
+                notFound.code = 'ENOENT';
+                reject(notFound);
+                return;
+            }
+            reject(error);
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    DEFAULT_MAX_OUTPUT,
+    requestContext,
+    runCommand
+};
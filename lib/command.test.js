@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requestContext, runCommand } = require('./command.js');
+
+const node = (script, options) => runCommand(process.execPath, ['-e', script], options);
+
+test('runCommand resolves with stdout and reports stderr on failure', async () => {
+    assert.strictEqual(await node('process.stdout.write("out")'), 'out');
+    await assert.rejects(node('process.stderr.write("bad"); process.exit(3)'), { message: 'Command failed with code 3: bad' });
+});
+
+test('runCommand passes stderr on as it arrives', async () => {
+    const chunks = [];
+    await node('process.stderr.write("progress")', { onStderr: text => chunks.push(text) });
+    assert.strictEqual(chunks.join(''), 'progress');
+});
+
+test('runCommand can pass stdout on as it arrives', async () => {
+    const chunks = [];
+    // An é split between two writes, and more output than maxOutput allows
+    const script = 'process.stdout.write(Buffer.from([0xc3])); setTimeout(() => process.stdout.write(Buffer.from([0xa9, ...Buffer.from("x".repeat(2048))])), 50)';
+    assert.strictEqual(await node(script, { onStdout: text => chunks.push(text), maxOutput: 1024 }), '');
+    assert.strictEqual(chunks.join(''), 'é' + 'x'.repeat(2048));
+});
+
+test('runCommand stops commands that run too long or print too much', async () => {
+    await assert.rejects(node('setTimeout(() => {}, 10000)', { timeout: 200 }), { code: 'ELIMIT', message: /did not finish within 0.2s/ });
+    await assert.rejects(node('process.stdout.write("x".repeat(4096))', { maxOutput: 1024 }), { code: 'ELIMIT', message: /more than/ });
+});
+
+test('runCommand kills the command when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const running = requestContext.run({ signal: controller.signal }, () => node('setTimeout(() => {}, 10000)'));
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(running, { name: 'AbortError' });
+});
+
+test('runCommand names a missing program', async () => {
+    await assert.rejects(runCommand('gtags-mcp-no-such-program', []), { code: 'ENOENT', message: 'gtags-mcp-no-such-program is not installed or not on PATH' });
+});
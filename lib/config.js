@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { MAX_RESULT_LIMIT } = require('./paging.js');
+const { PARSER_LABELS } = require('./parser.js');
+
+// Settings file looked up in the current directory (server settings) and in
+// each project root (settings for that project: `parser`, `ignore` and
+// `libraries`)
+const PROJECT_CONFIG_FILE = '.gtags-mcp.json';
+
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+// The subset of JSON Schema that validateConfigValue understands: type,
+// enum, minimum/maximum, minItems, items and properties. Unknown keys are
+// errors so that typos don't go unnoticed.
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        roots: { ...STRING_LIST, description: 'Project directories, relative to the config file' },
+        ignore: { ...STRING_LIST, description: 'Extra .gitignore-style patterns of paths not to index or watch' },
+        libraries: { ...STRING_LIST, description: 'Library and system source directories searched for definitions, relative to the config file' },
+        parser: {
+            type: 'object',
+            properties: {
+                label: { type: 'string', enum: PARSER_LABELS },
+                gtagsConf: { type: 'string' },
+                fileTypes: { ...STRING_LIST, minItems: 1 }
+            }
+        },
+        limits: {
+            type: 'object',
+            properties: {
+                defaultResults: { type: 'integer', minimum: 1, maximum: MAX_RESULT_LIMIT },
+                maxResults: { type: 'integer', minimum: 1, maximum: MAX_RESULT_LIMIT }
+            }
+        },
+        transport: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: ['stdio', 'http'] },
+                port: { type: 'integer', minimum: 0, maximum: 65535 },
+                host: { type: 'string' },
+                token: { type: 'string' },
+                allowedOrigins: STRING_LIST
+            }
+        },
+        tools: { ...STRING_LIST, description: 'Names of the tools to offer; all of them when omitted' },
+        update: {
+            type: 'object',
+            properties: {
+                strategy: { type: 'string', enum: ['watch', 'interval'] },
+                interval: { type: 'integer', minimum: 1 }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Throws an error naming the offending setting (e.g. `update.interval`)
+// if `value` does not match `schema`
+function validateConfigValue(value, schema, where) {
+    const type = typeOf(value);
+    if (schema.type && type !== schema.type && !(schema.type === 'number' && type === 'integer')) {
+        throw new Error(`${where} must be of type ${schema.type}, got ${type}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        throw new Error(`${where} must be one of ${schema.enum.join(', ')}, got: ${value}`);
+    }
+    if ((schema.minimum !== undefined && value < schema.minimum) ||
+        (schema.maximum !== undefined && value > schema.maximum)) {
+        throw new Error(schema.maximum === undefined
+            ? `${where} must be at least ${schema.minimum}, got: ${value}`
+            : `${where} must be between ${schema.minimum} and ${schema.maximum}, got: ${value}`);
+    }
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            throw new Error(`${where} must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateConfigValue(item, schema.items, `${where}[${i}]`));
+        }
+    }
+    if (type === 'object' && schema.properties) {
+        for (const [key, item] of Object.entries(value)) {
+            const name = where ? `${where}.${key}` : key;
+            if (!schema.properties[key]) {
+                throw new Error(`unknown setting ${name}`);
+            }
+            validateConfigValue(item, schema.properties[key], name);
+        }
+    }
+}
+
+// Checks the parser settings (`label`, `gtagsConf`, `fileTypes`) and returns
+// them normalized: gtagsConf resolved against `baseDir`, file types as
+// lower-case extensions without the dot. `source` names where they came from
+// in error messages.
+function normalizeParserConfig(config, baseDir, source) {
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`${source}: parser settings must be an object`);
+    }
+    const result = {};
+    if (config.label !== undefined) {
+        if (!PARSER_LABELS.includes(config.label)) {
+            throw new Error(`${source}: label must be one of ${PARSER_LABELS.join(', ')}, got: ${config.label}`);
+        }
+        result.label = config.label;
+    }
+    if (config.gtagsConf !== undefined) {
+        if (typeof config.gtagsConf !== 'string' || !config.gtagsConf) {
+            throw new Error(`${source}: gtagsConf must be a file path`);
+        }
+        result.gtagsConf = path.resolve(baseDir, config.gtagsConf);
+        if (!fs.existsSync(result.gtagsConf)) {
+            throw new Error(`${source}: gtags.conf not found: ${result.gtagsConf}`);
+        }
+    }
+    if (config.fileTypes !== undefined) {
+        if (!Array.isArray(config.fileTypes) || config.fileTypes.length === 0 ||
+            !config.fileTypes.every(type => typeof type === 'string' && type.replace(/^\*?\./, ''))) {
+            throw new Error(`${source}: fileTypes must be a non-empty list of file extensions`);
+        }
+        result.fileTypes = config.fileTypes.map(type => type.replace(/^\*?\./, '').toLowerCase());
+    }
+    return result;
+}
+
+// Reads and validates a config file. Relative paths in it (roots,
+// libraries, parser.gtagsConf) are resolved against the file's directory.
+function loadConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+    if (typeOf(config) !== 'object') {
+        throw new Error(`${file}: expected a JSON object`);
+    }
+    try {
+        validateConfigValue(config, CONFIG_SCHEMA, '');
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+
+    const baseDir = path.dirname(path.resolve(file));
+    const limits = config.limits || {};
+    if (limits.defaultResults !== undefined && limits.maxResults !== undefined &&
+        limits.defaultResults > limits.maxResults) {
+        throw new Error(`${file}: limits.defaultResults must not exceed limits.maxResults`);
+    }
+    return {
+        ...config,
+        file: path.resolve(file),
+        roots: config.roots && config.roots.map(root => path.resolve(baseDir, root)),
+        libraries: config.libraries && config.libraries.map(library => path.resolve(baseDir, library)),
+        parser: config.parser === undefined ? {} : normalizeParserConfig(config.parser, baseDir, file)
+    };
+}
+
+// The project's own .gtags-mcp.json, or {} when it has none
+function loadProjectConfig(projectDir) {
+    const file = path.join(projectDir, PROJECT_CONFIG_FILE);
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    return loadConfigFile(file);
+}
+
+module.exports = {
+    PROJECT_CONFIG_FILE,
+    CONFIG_SCHEMA,
+    validateConfigValue,
+    normalizeParserConfig,
+    loadConfigFile,
+    loadProjectConfig
+};
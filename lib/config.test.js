@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_SCHEMA, PROJECT_CONFIG_FILE, loadConfigFile, loadProjectConfig, validateConfigValue } = require('./config.js');
+
+function writeConfig(t, config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, PROJECT_CONFIG_FILE);
+    fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+    return { dir, file };
+}
+
+test('validateConfigValue names the offending setting', () => {
+    const check = value => validateConfigValue(value, CONFIG_SCHEMA, '');
+    assert.doesNotThrow(() => check({ update: { strategy: 'watch', interval: 5 }, tools: ['get_definition'] }));
+    assert.throws(() => check({ update: { interval: 0 } }), /^Error: update.interval must be at least 1, got: 0$/);
+    assert.throws(() => check({ update: { strategy: 'poll' } }), /update.strategy must be one of watch, interval/);
+    assert.throws(() => check({ transport: { port: 70000 } }), /transport.port must be between 0 and 65535/);
+    assert.throws(() => check({ roots: ['a', 1] }), /roots\[1\] must be of type string, got integer/);
+    assert.throws(() => check({ limits: { maxResult: 10 } }), /unknown setting limits.maxResult/);
+    assert.throws(() => check({ parser: { fileTypes: [] } }), /parser.fileTypes must have at least 1 item/);
+});
+
+test('loadConfigFile resolves paths against the file', (t) => {
+    const { dir, file } = writeConfig(t, { roots: ['src', '/abs'], libraries: ['../sdk'], limits: { maxResults: 50 } });
+    const config = loadConfigFile(file);
+    assert.strictEqual(config.file, file);
+    assert.deepStrictEqual(config.roots, [path.join(dir, 'src'), '/abs']);
+    assert.deepStrictEqual(config.libraries, [path.join(path.dirname(dir), 'sdk')]);
+    assert.deepStrictEqual(config.parser, {});
+    assert.deepStrictEqual(config.limits, { maxResults: 50 });
+});
+
+test('loadConfigFile reports unusable files', (t) => {
+    assert.throws(() => loadConfigFile(path.join(os.tmpdir(), 'gtags-mcp-missing.json')), /Cannot read config file/);
+    const broken = writeConfig(t, '{"roots": [');
+    assert.throws(() => loadConfigFile(broken.file), new RegExp(`^Error: ${broken.file}: `));
+    assert.throws(() => loadConfigFile(writeConfig(t, '[]').file), /expected a JSON object/);
+    assert.throws(() => loadConfigFile(writeConfig(t, { limits: { defaultResults: 20, maxResults: 10 } }).file),
+        /limits.defaultResults must not exceed limits.maxResults/);
+});
+
+test('loadProjectConfig is empty without a project config file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.deepStrictEqual(loadProjectConfig(dir), {});
+    assert.deepStrictEqual(loadProjectConfig(writeConfig(t, { ignore: ['build/'] }).dir).ignore, ['build/']);
+});
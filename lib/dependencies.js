@@ -0,0 +1,268 @@
+const path = require('path');
+const { detectLanguage } = require('./extent.js');
+
+// Extensions tried for a relative JavaScript/TypeScript import
+const SCRIPT_SUFFIXES = ['', '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.d.ts',
+    '/index.js', '/index.jsx', '/index.ts', '/index.tsx'];
+const JVM_EXTENSIONS = ['.java', '.kt', '.scala'];
+
+// Lookup tables over the indexed files (`global -P` paths)
+function buildFileIndex(files) {
+    const index = { files: new Set(), byName: new Map(), byDir: new Map() };
+    for (const file of files.map(f => f.replace(/^\.\//, ''))) {
+        index.files.add(file);
+        const name = path.posix.basename(file);
+        const dir = path.posix.dirname(file);
+        if (!index.byName.has(name)) index.byName.set(name, []);
+        index.byName.get(name).push(file);
+        if (!index.byDir.has(dir)) index.byDir.set(dir, []);
+        index.byDir.get(dir).push(file);
+    }
+    return index;
+}
+
+// Pulls the #include / import / require / use statements out of a file.
+// Returns { specifier, line } for each, with `local` set for #include "...".
+// Line based: statements spread over several lines are only found where
+// the module name is on a line that starts the statement or closes it.
+function extractImports(lines, file) {
+    const language = detectLanguage(file);
+    const imports = [];
+    const add = (specifier, line, extra = {}) => {
+        if (specifier) imports.push({ specifier, line, ...extra });
+    };
+    let inGoBlock = false;
+
+    lines.forEach((text, i) => {
+        const line = i + 1;
+        let match;
+        switch (language) {
+            case 'c':
+            case 'cpp':
+                if ((match = text.match(/^\s*#\s*(?:include|import)\s*([<"])([^>"]+)[>"]/))) {
+                    add(match[2], line, { local: match[1] === '"' });
+                }
+                break;
+            case 'javascript':
+            case 'typescript':
+                if ((match = text.match(/^\s*(?:import|export|\})[^'"]*?\bfrom\s*['"]([^'"]+)['"]/)) ||
+                    (match = text.match(/^\s*import\s*['"]([^'"]+)['"]/))) {
+                    add(match[1], line);
+                }
+                for (const call of text.matchAll(/\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g)) {
+                    add(call[1], line);
+                }
+                break;
+            case 'python':
+                if ((match = text.match(/^\s*from\s+(\.*)([\w.]*)\s+import\s+\(?([^#]*)/))) {
+                    // `from . import a, b` names modules; `from m import a` may too
+                    const names = match[3].split(',').map(name => name.trim().split(/\s+/)[0].replace(/[()]/g, '')).filter(name => /^\w+$/.test(name));
+                    if (match[2]) {
+                        add(match[1] + match[2], line, { names });
+                    } else {
+                        names.forEach(name => add(match[1] + name, line));
+                    }
+                } else if ((match = text.match(/^\s*import\s+([^#]+)/))) {
+                    match[1].split(',').forEach(part => add(part.trim().split(/\s+/)[0], line));
+                }
+                break;
+            case 'go':
+                if (inGoBlock) {
+                    if (/^\s*\)/.test(text)) {
+                        inGoBlock = false;
+                    } else if ((match = text.match(/^\s*(?:[\w.]+\s+)?"([^"]+)"/))) {
+                        add(match[1], line);
+                    }
+                } else if (/^\s*import\s*\(/.test(text)) {
+                    inGoBlock = true;
+                } else if ((match = text.match(/^\s*import\s+(?:[\w.]+\s+)?"([^"]+)"/))) {
+                    add(match[1], line);
+                }
+                break;
+            case 'java':
+            case 'kotlin':
+            case 'scala':
+                if ((match = text.match(/^\s*import\s+(?:static\s+)?(\w+(?:\.\w+)*(?:\.\*)?)/))) {
+                    add(match[1], line);
+                }
+                break;
+            case 'rust':
+                if ((match = text.match(/^\s*(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*;/))) {
+                    add(match[1], line, { mod: true });
+                } else if ((match = text.match(/^\s*(?:pub(?:\([^)]*\))?\s+)?use\s+([\w:]+)/))) {
+                    add(match[1].replace(/::$/, ''), line);
+                }
+                break;
+            case 'ruby':
+                if ((match = text.match(/^\s*(require|require_relative|load)\s*\(?\s*['"]([^'"]+)['"]/))) {
+                    add(match[2], line, { relative: match[1] === 'require_relative' });
+                }
+                break;
+            case 'php':
+                if ((match = text.match(/\b(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/))) {
+                    add(match[1], line, { local: true });
+                } else if ((match = text.match(/^\s*use\s+([\w\\]+)/))) {
+                    add(match[1], line);
+                }
+                break;
+        }
+    });
+    return imports;
+}
+
+// The indexed file ending in `suffix` that is closest to `fromFile` (the
+// most leading directories in common, then the shortest path), or null
+function findBySuffix(index, suffix, fromFile) {
+    const candidates = (index.byName.get(path.posix.basename(suffix)) || [])
+        .filter(file => file === suffix || file.endsWith('/' + suffix));
+    if (candidates.length === 0) return null;
+    const shared = (file) => {
+        const a = file.split('/');
+        const b = fromFile.split('/');
+        let n = 0;
+        while (n < a.length - 1 && n < b.length - 1 && a[n] === b[n]) n++;
+        return n;
+    };
+    return candidates.sort((a, b) => shared(b) - shared(a) || a.length - b.length)[0];
+}
+
+// The files of the indexed directory ending in `suffix` (a Go package or
+// a Java wildcard import), leaving out Go tests
+function findDirectory(index, suffix) {
+    const dirs = [...index.byDir.keys()].filter(dir => dir === suffix || suffix.endsWith('/' + dir) || dir.endsWith('/' + suffix));
+    if (dirs.length === 0) return [];
+    const best = dirs.sort((a, b) => b.length - a.length)[0];
+    return index.byDir.get(best).filter(file => !file.endsWith('_test.go'));
+}
+
+function firstIndexed(index, candidates) {
+    return candidates.map(file => path.posix.normalize(file)).find(file => index.files.has(file)) || null;
+}
+
+// Resolves an import found by extractImports in `fromFile` to project files.
+// An empty result means the module is outside the project (a system header,
+// a package, the standard library).
+function resolveImport(imported, fromFile, index) {
+    const language = detectLanguage(fromFile);
+    const dir = path.posix.dirname(fromFile);
+    const spec = imported.specifier;
+    const single = file => (file ? [file] : []);
+
+    switch (language) {
+        case 'c':
+        case 'cpp':
+            return single((imported.local && firstIndexed(index, [path.posix.join(dir, spec)])) ||
+                findBySuffix(index, path.posix.normalize(spec), fromFile));
+        case 'javascript':
+        case 'typescript': {
+            if (!spec.startsWith('.')) return [];
+            const base = path.posix.join(dir, spec);
+            // TypeScript sources import their compiled names (./x.js for x.ts)
+            const stripped = base.replace(/\.[cm]?js$/, '');
+            return single(firstIndexed(index, [...SCRIPT_SUFFIXES.map(s => base + s), ...SCRIPT_SUFFIXES.map(s => stripped + s)]));
+        }
+        case 'python': {
+            const dots = spec.match(/^\.*/)[0].length;
+            const modules = [spec.slice(dots), ...(imported.names || []).map(name => `${spec.slice(dots)}.${name}`)];
+            const resolved = new Set();
+            for (const module of modules) {
+                const modulePath = module.replace(/\./g, '/');
+                if (dots > 0) {
+                    let base = dir;
+                    for (let i = 1; i < dots; i++) base = path.posix.dirname(base);
+                    const full = modulePath ? path.posix.join(base, modulePath) : base;
+                    const file = firstIndexed(index, [`${full}.py`, `${full}/__init__.py`]);
+                    if (file) resolved.add(file);
+                } else if (modulePath) {
+                    const file = findBySuffix(index, `${modulePath}.py`, fromFile) ||
+                        findBySuffix(index, `${modulePath}/__init__.py`, fromFile);
+                    if (file) resolved.add(file);
+                }
+            }
+            // `from pkg import name` where name is a submodule: drop the package
+            if (resolved.size > 1 && modules.length > 1) {
+                resolved.delete([...resolved][0]);
+            }
+            return [...resolved];
+        }
+        case 'go':
+            return findDirectory(index, spec);
+        case 'java':
+        case 'kotlin':
+        case 'scala': {
+            if (spec.endsWith('.*')) {
+                return findDirectory(index, spec.slice(0, -2).replace(/\./g, '/'));
+            }
+            const parts = spec.split('.');
+            // Static and nested-class imports name members of the class file
+            for (let end = parts.length; end > 1; end--) {
+                const stem = parts.slice(0, end).join('/');
+                for (const ext of JVM_EXTENSIONS) {
+                    const file = findBySuffix(index, stem + ext, fromFile);
+                    if (file) return [file];
+                }
+            }
+            return [];
+        }
+        case 'rust': {
+            const moduleDir = /^(mod|lib|main)\.rs$/.test(path.posix.basename(fromFile))
+                ? dir
+                : fromFile.replace(/\.rs$/, '');
+            if (imported.mod) {
+                return single(firstIndexed(index, [`${moduleDir}/${spec}.rs`, `${moduleDir}/${spec}/mod.rs`]));
+            }
+            const parts = spec.split('::');
+            let base = null;
+            if (parts[0] === 'self') base = moduleDir;
+            else if (parts[0] === 'super') base = path.posix.dirname(moduleDir);
+            else if (parts[0] !== 'crate') return [];
+            const rest = parts.slice(1);
+            // The path may end in an item rather than a module
+            for (let end = rest.length; end > 0; end--) {
+                const stem = rest.slice(0, end).join('/');
+                const file = base
+                    ? firstIndexed(index, [`${base}/${stem}.rs`, `${base}/${stem}/mod.rs`])
+                    : findBySuffix(index, `${stem}.rs`, fromFile) || findBySuffix(index, `${stem}/mod.rs`, fromFile);
+                if (file) return [file];
+            }
+            return [];
+        }
+        case 'ruby': {
+            const file = spec.endsWith('.rb') ? spec : `${spec}.rb`;
+            return single(imported.relative
+                ? firstIndexed(index, [path.posix.join(dir, file)])
+                : findBySuffix(index, path.posix.normalize(file), fromFile));
+        }
+        case 'php': {
+            if (imported.local) {
+                return single(firstIndexed(index, [path.posix.join(dir, spec)]) || findBySuffix(index, path.posix.normalize(spec.replace(/^(\.\.?\/)+/, '')), fromFile));
+            }
+            // Namespaces map to directories below some source root
+            const parts = spec.split('\\').filter(part => part);
+            for (let start = 0; start < parts.length; start++) {
+                const file = findBySuffix(index, parts.slice(start).join('/') + '.php', fromFile);
+                if (file) return [file];
+            }
+            return [];
+        }
+        default:
+            return [];
+    }
+}
+
+// A word that files importing `file` are bound to contain, to narrow down
+// the files to parse when looking for them: the module's name
+function importedName(file) {
+    const base = path.posix.basename(file);
+    if (/^(__init__\.py|index\.[jt]sx?|mod\.rs)$/.test(base) || detectLanguage(file) === 'go') {
+        return path.posix.basename(path.posix.dirname(file));
+    }
+    return base.replace(/(\.d)?\.[^.]+$/, '');
+}
+
+module.exports = {
+    buildFileIndex,
+    extractImports,
+    resolveImport,
+    importedName
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildFileIndex, extractImports, importedName, resolveImport } = require('./dependencies.js');
+
+const index = buildFileIndex([
+    './src/main.c', './src/util.h', './include/util.h', './include/net/socket.h',
+    './web/app.ts', './web/lib/api.ts', './web/lib/index.js',
+    './pkg/__init__.py', './pkg/models.py', './pkg/views.py',
+    './cmd/server/main.go', './internal/store/store.go', './internal/store/store_test.go',
+    './src/main/java/com/acme/Foo.java', './src/main/java/com/acme/Bar.java',
+    './crate/src/lib.rs', './crate/src/net.rs', './crate/src/net/tcp.rs'
+]);
+
+// The files an import statement in `file` resolves to
+function resolve(file, text) {
+    return extractImports(text.split('\n'), file).map(imported => resolveImport(imported, file, index));
+}
+
+test('extractImports finds imports per language', () => {
+    assert.deepStrictEqual(extractImports(['#include "util.h"', '#include <stdio.h>', 'int x;'], 'a.c'), [
+        { specifier: 'util.h', line: 1, local: true },
+        { specifier: 'stdio.h', line: 2, local: false }
+    ]);
+    assert.deepStrictEqual(extractImports(["import { a } from './a'", "const b = require('b')", "} from '../c'"], 'a.ts')
+        .map(i => i.specifier), ['./a', 'b', '../c']);
+    assert.deepStrictEqual(extractImports(['import os, sys as system', 'from . import models, views', 'from .models import Foo'], 'a.py')
+        .map(i => i.specifier), ['os', 'sys', '.models', '.views', '.models']);
+    assert.deepStrictEqual(extractImports(['import (', '    "fmt"', '    st "acme/internal/store"', ')', 'import "os"'], 'a.go')
+        .map(i => i.specifier), ['fmt', 'acme/internal/store', 'os']);
+    assert.deepStrictEqual(extractImports(['import static com.acme.Foo.bar;', 'import com.acme.*;'], 'A.java')
+        .map(i => i.specifier), ['com.acme.Foo.bar', 'com.acme.*']);
+    assert.deepStrictEqual(extractImports(['pub mod net;', 'use crate::net::tcp::Stream;'], 'lib.rs'), [
+        { specifier: 'net', line: 1, mod: true },
+        { specifier: 'crate::net::tcp::Stream', line: 2 }
+    ]);
+});
+
+test('resolveImport finds the imported project files', () => {
+    assert.deepStrictEqual(resolve('src/main.c', '#include "util.h"\n#include <net/socket.h>\n#include <stdio.h>'),
+        [['src/util.h'], ['include/net/socket.h'], []]);
+    assert.deepStrictEqual(resolve('web/app.ts', "import api from './lib/api.js'\nimport lib from './lib'\nimport x from 'react'"),
+        [['web/lib/api.ts'], ['web/lib/index.js'], []]);
+    assert.deepStrictEqual(resolve('pkg/views.py', 'from .models import Foo\nfrom pkg import models\nimport json'),
+        [['pkg/models.py'], ['pkg/models.py'], []]);
+    assert.deepStrictEqual(resolve('cmd/server/main.go', 'import "acme/internal/store"'), [['internal/store/store.go']]);
+    assert.deepStrictEqual(resolve('src/main/java/com/acme/Bar.java', 'import com.acme.Foo;\nimport static com.acme.Foo.bar;'),
+        [['src/main/java/com/acme/Foo.java'], ['src/main/java/com/acme/Foo.java']]);
+    assert.deepStrictEqual(resolve('crate/src/lib.rs', 'mod net;\nuse crate::net::tcp::Stream;\nuse std::io;'),
+        [['crate/src/net.rs'], ['crate/src/net/tcp.rs'], []]);
+});
+
+test('importedName is the name importers mention', () => {
+    assert.strictEqual(importedName('src/util.h'), 'util');
+    assert.strictEqual(importedName('web/lib/index.js'), 'lib');
+    assert.strictEqual(importedName('pkg/__init__.py'), 'pkg');
+    assert.strictEqual(importedName('internal/store/store.go'), 'store');
+    assert.strictEqual(importedName('types/api.d.ts'), 'api');
+});
@@ -0,0 +1,115 @@
+const { constants } = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { runCommand } = require('./command.js');
+
+// Oldest GNU GLOBAL release the server is known to work with
+const MIN_GLOBAL_VERSION = [6, 5];
+
+const INSTALL_GLOBAL = 'Install GNU GLOBAL (Debian/Ubuntu: `apt install global`, macOS: `brew install global`) and make sure it is on the PATH of the process that starts gtags-mcp';
+
+// How to get each plug-in parser working
+const PARSER_FIXES = {
+    'ctags': 'Install Exuberant Ctags or Universal Ctags, and use a GNU GLOBAL built with plug-in parser support',
+    'new-ctags': 'Install Universal Ctags (Debian/Ubuntu: `apt install universal-ctags`, macOS: `brew install universal-ctags`), and use a GNU GLOBAL built with plug-in parser support',
+    'pygments': 'Install Pygments (`pip install pygments`), and use a GNU GLOBAL built with plug-in parser support'
+};
+
+const SEVERITY = ['ok', 'warning', 'error'];
+
+function check(name, status, message, fix) {
+    return fix ? { check: name, status, message, fix } : { check: name, status, message };
+}
+
+// Checks that `command` runs and is recent enough
+async function checkCommand(command) {
+    let output;
+    try {
+        output = await runCommand(command, ['--version']);
+    } catch (error) {
+        return check(command, 'error', error.message, INSTALL_GLOBAL);
+    }
+    const firstLine = output.split('\n')[0].trim();
+    const match = firstLine.match(/(\d+)\.(\d+)(?:\.(\d+))?/);
+    if (!match) {
+        return check(command, 'warning', `${command} runs but \`${command} --version\` reports no version${firstLine ? `: ${firstLine}` : ''}`);
+    }
+    const [major, minor] = [parseInt(match[1]), parseInt(match[2])];
+    if (major < MIN_GLOBAL_VERSION[0] || (major === MIN_GLOBAL_VERSION[0] && minor < MIN_GLOBAL_VERSION[1])) {
+        return check(command, 'warning', `${firstLine} is older than ${MIN_GLOBAL_VERSION.join('.')}; some options may not be supported`,
+            `Upgrade GNU GLOBAL to ${MIN_GLOBAL_VERSION.join('.')} or later`);
+    }
+    return check(command, 'ok', firstLine);
+}
+
+// Directory permissions, index files and parser of one project. The
+// index is only queried when `global` works (`globalUsable`).
+async function diagnoseProject(project, globalUsable) {
+    const checks = [];
+    try {
+        if (!(await fs.stat(project.dir)).isDirectory()) throw new Error('not a directory');
+        await fs.access(project.dir, constants.R_OK | constants.W_OK);
+        checks.push(check('directory', 'ok', `${project.dir} is readable and writable`));
+    } catch (error) {
+        checks.push(check('directory', 'error', `Cannot use ${project.dir}: ${error.code || error.message}`,
+            'Check that the directory exists and that the user running gtags-mcp may write the GTAGS, GRTAGS and GPATH files in it'));
+        return checks;
+    }
+
+    const missing = [];
+    for (const file of ['GTAGS', 'GRTAGS', 'GPATH']) {
+        try {
+            const stat = await fs.stat(path.join(project.dir, file));
+            await fs.access(path.join(project.dir, file), constants.W_OK);
+            if (stat.size === 0) missing.push(`${file} (empty)`);
+        } catch (error) {
+            missing.push(error.code === 'ENOENT' ? file : `${file} (${error.code})`);
+        }
+    }
+    if (project.isRebuilding) {
+        checks.push(check('index', 'ok', 'The index is being rebuilt'));
+    } else if (missing.length === 3 && missing.every(file => !file.includes(' '))) {
+        checks.push(check('index', 'warning', 'There is no index yet', 'Call the reindex tool or run `gtags-mcp index`; the index is also built on first use'));
+    } else if (missing.length > 0) {
+        checks.push(check('index', 'error', `Index files are missing or unusable: ${missing.join(', ')}`, 'Rebuild the index with the reindex tool or `gtags-mcp index`'));
+    } else if (globalUsable) {
+        const status = await project.getStatus();
+        if (status.error) {
+            checks.push(check('index', 'error', `global cannot read the index: ${status.error.trim()}`,
+                'The index may be corrupt or built by another GNU GLOBAL version; rebuild it with the reindex tool or `gtags-mcp index`'));
+        } else {
+            checks.push(check('index', 'ok', `${status.files} files indexed, last updated ${status.lastUpdated}`));
+        }
+    }
+
+    // Resolving the parser falls back from plug-ins whose program is missing
+    await project.resolveParser();
+    const requested = project.parserConfig.label;
+    if (project.parserFallback) {
+        checks.push(check('parser', 'warning', `Using ${project.parser} instead of ${requested}: ${project.parserFallback.reason}`, PARSER_FIXES[requested]));
+    } else {
+        checks.push(check('parser', 'ok', `Indexing with the ${project.parser} parser`));
+    }
+    return checks;
+}
+
+// Runs every check. Resolves with the checks (each with `project` set when
+// it concerns one) and the worst status among them.
+async function runDiagnostics(projects) {
+    const checks = [];
+    for (const command of ['global', 'gtags']) {
+        checks.push(await checkCommand(command));
+    }
+    const globalUsable = checks[0].status !== 'error';
+    for (const project of projects) {
+        for (const result of await diagnoseProject(project, globalUsable)) {
+            checks.push({ project: project.name, ...result });
+        }
+    }
+    const status = SEVERITY[Math.max(...checks.map(result => SEVERITY.indexOf(result.status)))];
+    return { status, checks };
+}
+
+module.exports = {
+    runDiagnostics
+};
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GtagsProject = require('./project.js');
+const { runDiagnostics } = require('./diagnose.js');
+
+function createProject(t, files = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-diagnose-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const file of files) fs.writeFileSync(path.join(dir, file), '');
+    return new GtagsProject(dir, { name: 'demo' });
+}
+
+// The checks of one project, without the project name
+async function projectChecks(project) {
+    const { checks } = await runDiagnostics([project]);
+    return checks.filter(result => result.project === 'demo').map(({ project, ...result }) => result);
+}
+
+test('diagnose checks the GNU GLOBAL commands', async (t) => {
+    const { status, checks } = await runDiagnostics([]);
+    assert.deepStrictEqual(checks.map(result => result.check), ['global', 'gtags']);
+    for (const result of checks) {
+        assert.ok(['ok', 'warning', 'error'].includes(result.status));
+        if (result.status === 'error') assert.match(result.fix, /Install GNU GLOBAL/);
+    }
+    assert.strictEqual(status, checks.some(result => result.status === 'error') ? 'error'
+        : checks.some(result => result.status === 'warning') ? 'warning' : 'ok');
+});
+
+test('diagnose reports a project without an index', async (t) => {
+    const project = createProject(t);
+    const checks = await projectChecks(project);
+    assert.deepStrictEqual(checks.map(result => [result.check, result.status]), [['directory', 'ok'], ['index', 'warning'], ['parser', 'ok']]);
+    assert.strictEqual(checks[1].message, 'There is no index yet');
+});
+
+test('diagnose reports empty or partial index files', async (t) => {
+    const checks = await projectChecks(createProject(t, ['GTAGS', 'GPATH']));
+    const index = checks.find(result => result.check === 'index');
+    assert.strictEqual(index.status, 'error');
+    assert.strictEqual(index.message, 'Index files are missing or unusable: GTAGS (empty), GRTAGS, GPATH (empty)');
+});
+
+test('diagnose reports a missing project directory', async (t) => {
+    const project = createProject(t);
+    fs.rmSync(project.dir, { recursive: true });
+    const checks = await projectChecks(project);
+    assert.deepStrictEqual(checks.map(result => [result.check, result.status]), [['directory', 'error']]);
+    assert.match(checks[0].message, /ENOENT/);
+});
@@ -0,0 +1,432 @@
+const path = require('path');
+
+// How far we scan looking for the end of a definition before giving up
+const MAX_EXTENT_LINES = 2000;
+// How many lines we look ahead for the opening brace of a definition
+const MAX_HEADER_LINES = 30;
+
+const LANGUAGES = {
+    '.c': 'c', '.h': 'c',
+    '.cc': 'cpp', '.cpp': 'cpp', '.cxx': 'cpp', '.hh': 'cpp', '.hpp': 'cpp', '.hxx': 'cpp',
+    '.java': 'java',
+    '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+    '.ts': 'typescript', '.tsx': 'typescript',
+    '.go': 'go',
+    '.cs': 'csharp',
+    '.php': 'php',
+    '.rs': 'rust',
+    '.kt': 'kotlin', '.kts': 'kotlin',
+    '.scala': 'scala',
+    '.swift': 'swift',
+    '.py': 'python', '.pyw': 'python',
+    '.rb': 'ruby'
+};
+
+const BRACE_LANGUAGES = new Set([
+    'c', 'cpp', 'java', 'javascript', 'typescript', 'go', 'csharp', 'php', 'rust', 'kotlin', 'scala', 'swift'
+]);
+const INDENT_LANGUAGES = new Set(['python']);
+// Brace languages where a newline can end a statement, so a declaration
+// without a body need not end in `;`
+const NEWLINE_LANGUAGES = new Set(['javascript', 'typescript', 'go', 'kotlin', 'swift', 'scala', 'rust']);
+// A statement line ending like this, or a next line starting like that,
+// goes on past the newline (an expression, a header split before its body)
+const CONTINUED_LINE_END = /(?:[=+\-*/%&|^<:.,([]|=>|->|\b(?:extends|implements|where|with|throws|in|of|instanceof|new|return|await|yield|typeof))\s*$/;
+const CONTINUED_LINE_START = /^(?:[{.?:=+\-*%&|^,]|=>|->|(?:where|extends|implements|with|throws)\b)/;
+// Keywords after which a `/` starts a regular expression literal rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+function detectLanguage(file) {
+    return LANGUAGES[path.extname(file).toLowerCase()] || null;
+}
+
+// Works out which characters of a line are code, comments or string/char
+// literals (JavaScript regular expression literals count as strings).
+// `state` carries block comment, template literal and triple-quoted string
+// state across lines. Returns one of 'code', 'comment' or 'string' per
+// character.
+function classifyLine(line, state) {
+    const classes = new Array(line.length);
+    let i = 0;
+    while (i < line.length) {
+        const ch = line[i];
+        const next = line[i + 1];
+        if (state.inBlockComment) {
+            if (ch === '*' && next === '/') {
+                state.inBlockComment = false;
+                classes[i] = classes[i + 1] = 'comment';
+                i += 2;
+            } else {
+                classes[i++] = 'comment';
+            }
+            continue;
+        }
+        if (state.inTripleQuote) {
+            if (ch === '\\') {
+                classes[i] = classes[i + 1] = 'string';
+                i += 2;
+            } else if (line.startsWith(state.inTripleQuote, i)) {
+                classes.fill('string', i, i + 3);
+                state.inTripleQuote = null;
+                i += 3;
+            } else {
+                classes[i++] = 'string';
+            }
+            continue;
+        }
+        if (state.inTemplate) {
+            if (ch === '\\') {
+                classes[i] = classes[i + 1] = 'string';
+                i += 2;
+            } else {
+                if (ch === '`') state.inTemplate = false;
+                classes[i++] = 'string';
+            }
+            continue;
+        }
+        if (ch === '/' && next === '*' && state.slashComments) {
+            state.inBlockComment = true;
+            classes[i] = classes[i + 1] = 'comment';
+            i += 2;
+            continue;
+        }
+        if ((ch === '/' && next === '/' && state.slashComments) || (ch === '#' && state.hashComments)) {
+            classes.fill('comment', i);
+            break;
+        }
+        if (ch === '/' && state.regexes && startsRegex(line, classes, i)) {
+            const end = findRegexEnd(line, i + 1);
+            if (end !== -1) {
+                classes.fill('string', i, end + 1);
+                i = end + 1;
+                continue;
+            }
+        }
+        if (ch === '`' && state.templates) {
+            state.inTemplate = true;
+            classes[i++] = 'string';
+            continue;
+        }
+        if (state.tripleQuotes && (line.startsWith('"""', i) || line.startsWith("'''", i))) {
+            state.inTripleQuote = line.slice(i, i + 3);
+            classes.fill('string', i, i + 3);
+            i += 3;
+            continue;
+        }
+        if (ch === '"' || ch === "'") {
+            // Rust lifetimes ('a) look like unterminated char literals
+            const end = findClosingQuote(line, i + 1, ch);
+            if (end === -1) {
+                classes[i++] = 'code';
+            } else {
+                classes.fill('string', i, end + 1);
+                i = end + 1;
+            }
+            continue;
+        }
+        classes[i++] = 'code';
+    }
+    // An escape at the very end of a line can step past it
+    classes.length = line.length;
+    return classes;
+}
+
+// Strips string/char literals and comments from a line so that braces inside
+// them are not counted.
+function stripLine(line, state) {
+    const classes = classifyLine(line, state);
+    let out = '';
+    for (let i = 0; i < line.length; i++) {
+        if (classes[i] === 'code') out += line[i];
+    }
+    return out;
+}
+
+// Comment and string syntax by language: Python has only `#` comments and
+// triple-quoted strings, PHP has `#` comments on top of C's
+function newScanState(language) {
+    return {
+        inBlockComment: false,
+        inTemplate: false,
+        inTripleQuote: null,
+        templates: language === 'javascript' || language === 'typescript',
+        regexes: language === 'javascript' || language === 'typescript',
+        slashComments: !INDENT_LANGUAGES.has(language),
+        hashComments: language === 'php' || INDENT_LANGUAGES.has(language),
+        tripleQuotes: INDENT_LANGUAGES.has(language)
+    };
+}
+
+// Classifies the characters of the given 1-based lines of a file, scanning
+// from the top so that multi-line comments are recognised. Returns a Map
+// from line number to per-character classes (see classifyLine), or null
+// for languages we can't scan.
+function classifyFileLines(lines, file, lineNums) {
+    const language = detectLanguage(file);
+    if (!BRACE_LANGUAGES.has(language) && !INDENT_LANGUAGES.has(language)) return null;
+
+    const wanted = new Set(lineNums);
+    const last = Math.min(lines.length, Math.max(0, ...lineNums));
+    const state = newScanState(language);
+    const result = new Map();
+    for (let n = 1; n <= last; n++) {
+        const classes = classifyLine(lines[n - 1], state);
+        if (wanted.has(n)) result.set(n, classes);
+    }
+    return result;
+}
+
+function findClosingQuote(line, from, quote) {
+    for (let i = from; i < line.length; i++) {
+        if (line[i] === '\\') {
+            i++;
+        } else if (line[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Whether the `/` at line[i] starts a regular expression literal: it does
+// where an expression starts, i.e. not after a value such as a name or `)`
+function startsRegex(line, classes, i) {
+    let j = i - 1;
+    while (j >= 0 && (classes[j] === 'comment' || /\s/.test(line[j]))) j--;
+    if (j < 0) return true;
+    if (classes[j] === 'string') return false;
+    if (/[(,=:[!&|?{};+\-*%<>~^]/.test(line[j])) return true;
+    const word = line.slice(0, j + 1).match(/[\w$]+$/);
+    return word !== null && REGEX_KEYWORDS.has(word[0]);
+}
+
+// Index of the `/` closing a regular expression literal, skipping escapes
+// and character classes, or -1 if it isn't closed on the line
+function findRegexEnd(line, from) {
+    let inClass = false;
+    for (let i = from; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '\\') {
+            i++;
+        } else if (ch === '[') {
+            inClass = true;
+        } else if (ch === ']') {
+            inClass = false;
+        } else if (ch === '/' && !inClass) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function indentOf(line) {
+    const match = line.match(/^[ \t]*/)[0];
+    return match.replace(/\t/g, '    ').length;
+}
+
+// Returns the 0-based inclusive end index of a brace-delimited definition
+// starting at `start`, or -1 when it cannot be determined.
+function findBraceExtent(lines, start, language) {
+    if (/^\s*#\s*define\b/.test(lines[start])) {
+        let end = start;
+        while (end < lines.length - 1 && /\\\s*$/.test(lines[end])) end++;
+        return end;
+    }
+
+    const state = newScanState(language);
+    let depth = 0;
+    let parens = 0;
+    let opened = false;
+    const limit = Math.min(lines.length, start + MAX_EXTENT_LINES);
+
+    for (let i = start; i < limit; i++) {
+        if (!opened && i - start >= MAX_HEADER_LINES) return -1;
+        const code = stripLine(lines[i], state);
+        for (const ch of code) {
+            if (ch === '(' || ch === '[') {
+                parens++;
+            } else if (ch === ')' || ch === ']') {
+                parens = Math.max(0, parens - 1);
+            } else if (ch === '{') {
+                depth++;
+                opened = true;
+            } else if (ch === '}') {
+                depth--;
+                if (opened && depth <= 0) return i;
+            } else if (ch === ';' && !opened && parens === 0) {
+                // Prototype, declaration or simple assignment
+                return i;
+            }
+        }
+        // A declaration without a body ends with its line where newlines
+        // end statements (`const FOO = 1` in JavaScript or Go)
+        if (!opened && parens === 0 && NEWLINE_LANGUAGES.has(language) && code.trim() &&
+            !continuesOnNextLine(lines, i, code, state, limit)) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Whether the statement on line `i` (whose code is `code`) goes on to the
+// next line with code
+function continuesOnNextLine(lines, i, code, state, limit) {
+    if (CONTINUED_LINE_END.test(code)) return true;
+    const peek = { ...state };
+    for (let j = i + 1; j < Math.min(limit, i + 1 + MAX_HEADER_LINES); j++) {
+        const next = stripLine(lines[j], peek).trim();
+        if (next) return CONTINUED_LINE_START.test(next);
+    }
+    return false;
+}
+
+// Returns the 0-based inclusive end index of an indentation-delimited
+// definition (Python) starting at `start`, or -1 when it cannot be determined.
+function findIndentExtent(lines, start) {
+    const baseIndent = indentOf(lines[start]);
+    const state = newScanState('python');
+
+    // Find the end of the header, which may span several lines
+    let parens = 0;
+    let headerEnd = -1;
+    for (let i = start; i < Math.min(lines.length, start + MAX_HEADER_LINES); i++) {
+        const code = stripLine(lines[i], state);
+        for (const ch of code) {
+            if ('([{'.includes(ch)) parens++;
+            else if (')]}'.includes(ch)) parens = Math.max(0, parens - 1);
+        }
+        if (parens === 0) {
+            headerEnd = i;
+            break;
+        }
+    }
+    if (headerEnd === -1) return -1;
+    // Not a block header (e.g. a module level assignment)
+    if (!/:\s*(#.*)?$/.test(lines[headerEnd])) return headerEnd;
+
+    let end = headerEnd;
+    const limit = Math.min(lines.length, start + MAX_EXTENT_LINES);
+    for (let i = headerEnd + 1; i < limit; i++) {
+        const line = lines[i];
+        // Lines inside a triple-quoted string may have any indentation
+        const inString = state.inTripleQuote !== null;
+        stripLine(line, state);
+        if (!line.trim()) continue;
+        if (!inString && indentOf(line) <= baseIndent) break;
+        end = i;
+    }
+    return end;
+}
+
+// Works out the lines spanned by the definition starting at 1-based `lineNum`.
+// Returns { start, end } (1-based, inclusive) or null if the extent is unknown.
+function findDefinitionExtent(lines, lineNum, file) {
+    const start = lineNum - 1;
+    if (start < 0 || start >= lines.length) return null;
+
+    const language = detectLanguage(file);
+    let end = -1;
+    if (BRACE_LANGUAGES.has(language)) {
+        end = findBraceExtent(lines, start, language);
+    } else if (INDENT_LANGUAGES.has(language)) {
+        end = findIndentExtent(lines, start);
+    }
+    if (end === -1) return null;
+    return { start: lineNum, end: end + 1 };
+}
+
+// Every kind guessDefinitionKind can return
+const DEFINITION_KINDS = [
+    'macro', 'class', 'interface', 'trait', 'struct', 'union', 'enum', 'namespace', 'type', 'function', 'variable'
+];
+
+// Guesses the kind of a definition from its source line. GLOBAL's native
+// parser doesn't report kinds, so this is keyword based and returns null
+// when nothing matches.
+function guessDefinitionKind(code, symbol) {
+    const text = code.trim();
+    if (/^#\s*define\b/.test(text)) return 'macro';
+    if (/\bclass\b/.test(text)) return 'class';
+    if (/\binterface\b/.test(text)) return 'interface';
+    if (/\btrait\b/.test(text)) return 'trait';
+    if (/\bstruct\b/.test(text)) return 'struct';
+    if (/\bunion\b/.test(text)) return 'union';
+    if (/\benum\b/.test(text)) return 'enum';
+    if (/\b(namespace|module|package)\b/.test(text)) return 'namespace';
+    if (/\btypedef\b/.test(text) || /^type\s/.test(text)) return 'type';
+    if (/\b(def|function|func|fn|fun|sub)\b/.test(text)) return 'function';
+    if (symbol && new RegExp(`\\b${symbol.replace(/[^\w$]/g, '\\$&')}\\s*\\(`).test(text) && !/[;=]\s*$/.test(text)) return 'function';
+    if (/^(export\s+)?(const|let|var|val)\b/.test(text)) return 'variable';
+    return null;
+}
+
+// Nests the definitions of a file (GLOBAL tags sorted by line) by extent:
+// a definition that lies inside another one's extent becomes its child,
+// and functions directly inside a class-like definition become methods.
+function buildOutline(defs, lines, file) {
+    const roots = [];
+    const stack = [];
+
+    for (const def of defs) {
+        const extent = lines ? findDefinitionExtent(lines, def.line, file) : null;
+        const entry = {
+            symbol: def.symbol,
+            kind: guessDefinitionKind(def.code, def.symbol),
+            line: def.line,
+            endLine: extent ? extent.end : null,
+            children: []
+        };
+
+        // A parent must contain the whole definition, not just its first line
+        while (stack.length > 0) {
+            const top = stack[stack.length - 1];
+            if (top.endLine >= entry.line && (entry.endLine === null || entry.endLine <= top.endLine)) break;
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1];
+        if (parent) {
+            if (entry.kind === 'function' && ['class', 'struct', 'interface', 'trait'].includes(parent.kind)) {
+                entry.kind = 'method';
+            }
+            parent.children.push(entry);
+        } else {
+            roots.push(entry);
+        }
+        if (entry.endLine !== null && entry.endLine > entry.line) {
+            stack.push(entry);
+        }
+    }
+    return roots;
+}
+
+// Whether a definition looks visible outside its module, so that code
+// outside the project may use it: `export`, `public` and `pub`
+// declarations, capitalized Go names and anything declared in a C/C++ header
+function looksExported(code, symbol, file) {
+    if (/^\s*(export|public|pub(\([^)]*\))?)\s/.test(code)) return true;
+    const language = detectLanguage(file);
+    if (language === 'go') return /^[A-Z]/.test(symbol);
+    return /\.(h|hh|hpp|hxx)$/i.test(file);
+}
+
+// Formats lines `start`..`end` (1-based, inclusive) with right-aligned line numbers
+function formatNumberedLines(lines, start, end) {
+    const from = Math.max(1, start);
+    const to = Math.min(lines.length, end);
+    const width = String(to).length;
+    const out = [];
+    for (let n = from; n <= to; n++) {
+        out.push(`${String(n).padStart(width)} | ${lines[n - 1]}`);
+    }
+    return out.join('\n');
+}
+
+module.exports = {
+    DEFINITION_KINDS,
+    buildOutline,
+    classifyFileLines,
+    detectLanguage,
+    findDefinitionExtent,
+    guessDefinitionKind,
+    looksExported,
+    formatNumberedLines
+};
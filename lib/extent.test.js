@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildOutline, classifyFileLines, findDefinitionExtent } = require('./extent.js');
+
+function extent(source, line, file) {
+    return findDefinitionExtent(source.split('\n'), line, file);
+}
+
+test('brace definitions end at their closing brace', () => {
+    const source = 'int add(int a,\n        int b)\n{\n    return a + b;\n}\nint x;';
+    assert.deepStrictEqual(extent(source, 1, 'a.c'), { start: 1, end: 5 });
+    assert.deepStrictEqual(extent(source, 6, 'a.c'), { start: 6, end: 6 });
+});
+
+test('braces in strings and comments are not counted', () => {
+    const source = 'void f() {\n    puts("}");  /* } */\n    // }\n}\nvoid g() {}';
+    assert.deepStrictEqual(extent(source, 1, 'a.c'), { start: 1, end: 4 });
+});
+
+test('macros end at the last continued line', () => {
+    const source = '#define MAX(a, b) \\\n    ((a) > (b) ? (a) : (b))\nint x;';
+    assert.deepStrictEqual(extent(source, 1, 'a.h'), { start: 1, end: 2 });
+});
+
+test('declarations without a semicolon end with their line', () => {
+    const js = 'const FOO = 1\n\nfunction foo() {\n    return FOO\n}';
+    assert.deepStrictEqual(extent(js, 1, 'a.js'), { start: 1, end: 1 });
+    assert.deepStrictEqual(extent(js, 3, 'a.js'), { start: 3, end: 5 });
+    assert.deepStrictEqual(extent('package x\n\nconst Max = 10\n\nfunc f() {\n}', 3, 'a.go'), { start: 3, end: 3 });
+    assert.deepStrictEqual(extent('val x = 1\n\nfun f() {\n}', 1, 'a.kt'), { start: 1, end: 1 });
+    assert.deepStrictEqual(extent('class Point(val x: Int)\n\nfun f() {}', 1, 'a.kt'), { start: 1, end: 1 });
+});
+
+test('statements continued on the next line are followed', () => {
+    // Operator at the end of the line
+    assert.deepStrictEqual(extent('const f = (a) =>\n    a + 1\nconst g = 2', 1, 'a.js'), { start: 1, end: 2 });
+    assert.deepStrictEqual(extent('type X =\n    | A\n    | B\nconst y = 1', 1, 'a.ts'), { start: 1, end: 3 });
+    // Brace on its own line
+    assert.deepStrictEqual(extent('function f(a)\n{\n    return a\n}\nconst x = 1', 1, 'a.js'), { start: 1, end: 4 });
+    assert.deepStrictEqual(extent('fn id<T>(x: T) -> T\nwhere\n    T: Clone,\n{\n    x\n}', 1, 'a.rs'), { start: 1, end: 6 });
+    // Open parentheses
+    assert.deepStrictEqual(extent('var (\n    a = 1\n    b = 2\n)\nfunc f() {}', 1, 'a.go'), { start: 1, end: 4 });
+});
+
+test('regular expression literals are not code', () => {
+    const source = 'function f(s) {\n    return /[}]/.test(s) || /\\//.test(s)\n}\nfunction g() {}';
+    assert.deepStrictEqual(extent(source, 1, 'a.js'), { start: 1, end: 3 });
+    // Division is not a regular expression
+    assert.deepStrictEqual(extent('const x = a / b / c\nconst y = 1', 1, 'a.js'), { start: 1, end: 1 });
+});
+
+test('python definitions end where the indentation does', () => {
+    const source = 'def f(a,\n      b):\n    x = a\n\n    return x + b\n\ny = 1';
+    assert.deepStrictEqual(extent(source, 1, 'a.py'), { start: 1, end: 5 });
+    assert.deepStrictEqual(extent(source, 7, 'a.py'), { start: 7, end: 7 });
+});
+
+test('unknown languages have no extent', () => {
+    assert.strictEqual(extent('anything', 1, 'a.txt'), null);
+});
+
+// Outline of `source` given its tags as [symbol, line] pairs
+function outline(source, tags, file) {
+    const lines = source.split('\n');
+    const defs = tags.map(([symbol, line]) => ({ symbol, line, code: lines[line - 1] }));
+    const shape = entries => entries.map(e => ({ symbol: e.symbol, kind: e.kind, line: e.line, endLine: e.endLine, children: shape(e.children) }));
+    return shape(buildOutline(defs, lines, file));
+}
+
+test('javascript outline keeps top-level constants flat', () => {
+    const source = [
+        'const LIMIT = 10',
+        '',
+        'function load() {',
+        '    return LIMIT',
+        '}',
+        '',
+        'class Store {',
+        '    get(key) {',
+        '        return key',
+        '    }',
+        '}'
+    ].join('\n');
+    assert.deepStrictEqual(outline(source, [['LIMIT', 1], ['load', 3], ['Store', 7], ['get', 8]], 'a.js'), [
+        { symbol: 'LIMIT', kind: 'variable', line: 1, endLine: 1, children: [] },
+        { symbol: 'load', kind: 'function', line: 3, endLine: 5, children: [] },
+        {
+            symbol: 'Store', kind: 'class', line: 7, endLine: 11, children: [
+                { symbol: 'get', kind: 'method', line: 8, endLine: 10, children: [] }
+            ]
+        }
+    ]);
+});
+
+test('go outline does not nest functions under constants', () => {
+    const source = [
+        'package store',
+        '',
+        'const Max = 10',
+        '',
+        'type Store struct {',
+        '    items []string',
+        '}',
+        '',
+        'func (s *Store) Len() int {',
+        '    return len(s.items)',
+        '}'
+    ].join('\n');
+    assert.deepStrictEqual(outline(source, [['Max', 3], ['Store', 5], ['Len', 9]], 'a.go'), [
+        { symbol: 'Max', kind: 'variable', line: 3, endLine: 3, children: [] },
+        { symbol: 'Store', kind: 'struct', line: 5, endLine: 7, children: [] },
+        { symbol: 'Len', kind: 'function', line: 9, endLine: 11, children: [] }
+    ]);
+});
+
+test('python outline nests methods in their class', () => {
+    const source = [
+        'LIMIT = 10',
+        '',
+        'class Store:',
+        '    def get(self, key):',
+        '        return key',
+        '',
+        '    def put(self, key):',
+        '        pass',
+        '',
+        'def load():',
+        '    return Store()'
+    ].join('\n');
+    assert.deepStrictEqual(outline(source, [['LIMIT', 1], ['Store', 3], ['get', 4], ['put', 7], ['load', 10]], 'a.py'), [
+        { symbol: 'LIMIT', kind: null, line: 1, endLine: 1, children: [] },
+        {
+            symbol: 'Store', kind: 'class', line: 3, endLine: 8, children: [
+                { symbol: 'get', kind: 'method', line: 4, endLine: 5, children: [] },
+                { symbol: 'put', kind: 'method', line: 7, endLine: 8, children: [] }
+            ]
+        },
+        { symbol: 'load', kind: 'function', line: 10, endLine: 11, children: [] }
+    ]);
+});
+
+// The text of `line` (1-based) classified as `kind`
+function textOf(source, file, line, kind) {
+    const lines = source.split('\n');
+    const classes = classifyFileLines(lines, file, [line]).get(line);
+    return [...lines[line - 1]].filter((ch, i) => classes[i] === kind).join('');
+}
+
+test('python comments start only at #', () => {
+    const source = 'def div(a, b):\n    return a // b  # TODO: check b';
+    assert.strictEqual(textOf(source, 'a.py', 2, 'comment'), '# TODO: check b');
+    assert.strictEqual(textOf(source, 'a.py', 2, 'code'), '    return a // b  ');
+    assert.strictEqual(textOf('x = a /* b */ + c', 'a.py', 1, 'comment'), '');
+});
+
+test('python triple-quoted strings span lines', () => {
+    const source = [
+        'def f():',
+        '    """Does things.',
+        '',
+        'TODO: not a comment # either',
+        "    '''still the same string'''",
+        '    """',
+        '    return 1  # done'
+    ].join('\n');
+    assert.strictEqual(textOf(source, 'a.py', 4, 'string'), 'TODO: not a comment # either');
+    assert.strictEqual(textOf(source, 'a.py', 5, 'string'), "    '''still the same string'''");
+    assert.strictEqual(textOf(source, 'a.py', 6, 'string'), '    """');
+    assert.strictEqual(textOf(source, 'a.py', 7, 'comment'), '# done');
+    // The docstring doesn't end the function early
+    assert.deepStrictEqual(extent(source, 1, 'a.py'), { start: 1, end: 7 });
+});
+
+test('php has slash, block and hash comments', () => {
+    const source = '<?php\n$a = 1; // one\n$b = 2; /* two */ $c = 3; # three';
+    assert.strictEqual(textOf(source, 'a.php', 2, 'comment'), '// one');
+    assert.strictEqual(textOf(source, 'a.php', 3, 'comment'), '/* two */# three');
+});
+
+test('hash is not a comment in c-like languages', () => {
+    assert.strictEqual(textOf('class A { #secret = 1 }', 'a.js', 1, 'comment'), '');
+    assert.strictEqual(textOf('int a; // note', 'a.c', 1, 'comment'), '// note');
+});
@@ -0,0 +1,145 @@
+// Subsequence ("fuzzy") matching in the style of editor file pickers: every
+// character of the query must appear in order, and matches that are
+// contiguous or start a word score higher.
+
+const MATCH_SCORE = 1;
+const CONSECUTIVE_BONUS = 5;
+const BOUNDARY_BONUS = 8;
+const GAP_PENALTY = 0.1;
+const SUBSTRING_BONUS = 50;
+// Matches within the file name beat matches spread over directories
+const BASENAME_BONUS = 20;
+
+// Whether text[i] starts a word: the start of the text, after a separator,
+// or an upper-case letter following a lower-case one (camelCase)
+function isWordStart(text, i) {
+    if (i === 0) return true;
+    const prev = text[i - 1];
+    const ch = text[i];
+    if ('/\\_-. '.includes(prev)) return true;
+    return prev === prev.toLowerCase() && prev !== prev.toUpperCase() &&
+        ch === ch.toUpperCase() && ch !== ch.toLowerCase();
+}
+
+// Scores `text` against `query`, or returns null when the query is not a
+// subsequence of it. Matching is case-insensitive.
+function fuzzyScore(query, text) {
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    if (q === '') return 0;
+
+    let score = 0;
+    let ti = 0;
+    let last = -1;
+    for (let qi = 0; qi < q.length; qi++) {
+        let found = t.indexOf(q[qi], ti);
+        if (found === -1) return null;
+        // A mid-word occurrence loses to a later one that starts a word, as
+        // long as the rest of the query still fits after it
+        if (!isWordStart(text, found) && found !== last + 1) {
+            for (let j = found + 1; j < t.length; j++) {
+                if (t[j] === q[qi] && isWordStart(text, j)) {
+                    if (isSubsequence(q.slice(qi + 1), t.slice(j + 1))) found = j;
+                    break;
+                }
+            }
+        }
+
+        score += MATCH_SCORE;
+        if (found === last + 1) score += CONSECUTIVE_BONUS;
+        if (isWordStart(text, found)) score += BOUNDARY_BONUS;
+        if (last >= 0) score -= (found - last - 1) * GAP_PENALTY;
+        last = found;
+        ti = found + 1;
+    }
+
+    if (t.includes(q)) score += SUBSTRING_BONUS;
+    return score;
+}
+
+function isSubsequence(query, text) {
+    let ti = 0;
+    for (const ch of query) {
+        ti = text.indexOf(ch, ti);
+        if (ti === -1) return false;
+        ti++;
+    }
+    return true;
+}
+
+// Scores a slash-separated path, favouring matches in its last component
+function fuzzyPathScore(query, file) {
+    const full = fuzzyScore(query, file);
+    if (full === null) return null;
+    const base = fuzzyScore(query, file.slice(file.lastIndexOf('/') + 1));
+    return base === null ? full : Math.max(full, base + BASENAME_BONUS);
+}
+
+// Splits an identifier into lower-case words at underscores, dashes and
+// camelCase humps: "BufferPoolPage" and "buffer_pool_page" both give
+// ["buffer", "pool", "page"]
+function splitIdentifier(name) {
+    return name
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => word)
+        .map(word => word.toLowerCase());
+}
+
+// Covers `query` with prefixes of distinct words, in any order, so that
+// "pagebuffer" and "bufpage" both match BufferPoolPage. Returns the number
+// of words used, or null if the query can't be covered. Results are
+// memoized by query offset and the set of words used (a bitmask, so at most
+// 31 words), which keeps the search polynomial in the query length.
+function coverWithWordPrefixes(query, words) {
+    const memo = new Map();
+    const cover = (offset, used) => {
+        if (offset === query.length) return 0;
+        const key = offset * 2 ** words.length + used;
+        if (memo.has(key)) return memo.get(key);
+        let best = null;
+        for (let w = 0; w < words.length && best !== 1; w++) {
+            if (used & (1 << w)) continue;
+            const word = words[w];
+            let common = 0;
+            while (common < word.length && offset + common < query.length && word[common] === query[offset + common]) common++;
+            for (let k = common; k >= 1; k--) {
+                const rest = cover(offset + k, used | (1 << w));
+                if (rest !== null && (best === null || rest + 1 < best)) best = rest + 1;
+                if (best === 1) break;
+            }
+        }
+        memo.set(key, best);
+        return best;
+    };
+    return cover(0, 0);
+}
+
+// Scores a symbol name for symbol search. Exact and prefix matches (ignoring
+// case) come first, then matches on whole words of the camelCase/snake_case
+// name in any order, then plain subsequence matches.
+function fuzzySymbolScore(query, symbol) {
+    const q = query.toLowerCase().replace(/[\s_-]+/g, '');
+    const name = symbol.toLowerCase();
+    if (q === '') return 0;
+    if (name === q || name.replace(/[_-]/g, '') === q) return 1000;
+    if (name.startsWith(q)) return 500 - symbol.length;
+
+    const words = splitIdentifier(symbol);
+    const wordCount = words.length <= 8 ? coverWithWordPrefixes(q, words) : null;
+    const subsequence = fuzzyScore(q, symbol);
+    if (wordCount !== null) {
+        // Fewer, fuller words are better; unmatched words cost a little
+        return 200 + Math.max(subsequence || 0, 0) - wordCount * 5 - (words.length - wordCount);
+    }
+    return subsequence;
+}
+
+module.exports = {
+    fuzzyScore,
+    fuzzyPathScore,
+    coverWithWordPrefixes,
+    fuzzySymbolScore,
+    splitIdentifier
+};
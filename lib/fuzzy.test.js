@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { coverWithWordPrefixes, fuzzyPathScore, fuzzyScore, fuzzySymbolScore, splitIdentifier } = require('./fuzzy.js');
+
+test('splitIdentifier splits at separators and camelCase humps', () => {
+    assert.deepStrictEqual(splitIdentifier('BufferPoolPage'), ['buffer', 'pool', 'page']);
+    assert.deepStrictEqual(splitIdentifier('buffer_pool-page'), ['buffer', 'pool', 'page']);
+    assert.deepStrictEqual(splitIdentifier('HTTPServer2Request'), ['http', 'server2', 'request']);
+});
+
+test('fuzzyScore matches subsequences and prefers word starts', () => {
+    assert.strictEqual(fuzzyScore('xyz', 'abc'), null);
+    assert.strictEqual(fuzzyScore('', 'abc'), 0);
+    assert.ok(fuzzyScore('bp', 'buffer_pool') > fuzzyScore('bp', 'abxp'));
+    assert.ok(fuzzyScore('pool', 'buffer_pool') > fuzzyScore('pool', 'p_o_o_l'));
+});
+
+test('fuzzyPathScore favours matches in the file name', () => {
+    assert.ok(fuzzyPathScore('main', 'src/main.c') > fuzzyPathScore('main', 'main/src/util.c'));
+    assert.strictEqual(fuzzyPathScore('zzz', 'src/main.c'), null);
+});
+
+test('coverWithWordPrefixes uses each word once in any order', () => {
+    assert.strictEqual(coverWithWordPrefixes('bufpage', ['buffer', 'pool', 'page']), 2);
+    assert.strictEqual(coverWithWordPrefixes('pagebuffer', ['buffer', 'pool', 'page']), 2);
+    assert.strictEqual(coverWithWordPrefixes('pagepage', ['buffer', 'pool', 'page']), null);
+    assert.strictEqual(coverWithWordPrefixes('', ['buffer']), 0);
+});
+
+test('coverWithWordPrefixes stays fast on queries that almost cover', () => {
+    // Every split of the query into word prefixes fails only at its last
+    // character, which took minutes without memoization
+    const words = new Array(8).fill('aaaa');
+    const startedAt = Date.now();
+    assert.strictEqual(coverWithWordPrefixes('a'.repeat(31) + 'b', words), null);
+    assert.strictEqual(fuzzySymbolScore('a'.repeat(31) + 'b', words.join('_')), null);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('fuzzySymbolScore ranks exact, prefix, word and subsequence matches', () => {
+    const exact = fuzzySymbolScore('buffer_pool', 'BufferPool');
+    const prefix = fuzzySymbolScore('buffer', 'BufferPool');
+    const words = fuzzySymbolScore('poolbuf', 'BufferPool');
+    const subsequence = fuzzySymbolScore('bfpl', 'BufferPool');
+    assert.strictEqual(exact, 1000);
+    assert.ok(exact > prefix && prefix > words && words > subsequence);
+    assert.strictEqual(fuzzySymbolScore('xyz', 'BufferPool'), null);
+});
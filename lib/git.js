@@ -0,0 +1,126 @@
+const { runCommand } = require('./command.js');
+
+// One side of a revision range: a ref, commit or expression such as
+// HEAD~3 or origin/main@{1}, but nothing git could take for an option
+const REVISION_PATTERN = /^[\w./@{}~^][\w./@{}~^-]*$/;
+
+// Parses a git_scope argument: 'working' (uncommitted changes, including
+// untracked files), 'staged', or a 'base..head' / 'base...head' range.
+// Throws on anything else.
+function parseGitScope(scope) {
+    if (scope === 'working' || scope === 'staged') {
+        return { kind: scope, value: scope, label: scope === 'working' ? 'the working tree' : 'the staging area' };
+    }
+    const match = typeof scope === 'string' && scope.match(/^(.*?)(\.\.\.?)(.*)$/);
+    if (match && (match[1] || match[3]) &&
+        [match[1], match[3]].every(side => side === '' || REVISION_PATTERN.test(side))) {
+        return { kind: 'range', value: scope, range: scope, label: scope };
+    }
+    throw new Error(`git_scope must be 'working', 'staged' or a revision range like 'main..HEAD', got: ${scope}`);
+}
+
+const ESCAPES = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '"': '"', '\\': '\\' };
+
+// The path on a `+++ ` line. Git ends the line with a tab when the name has
+// spaces, and quotes it C-style when it has control characters, quotes or
+// backslashes (bytes outside ASCII come as octal escapes).
+function parseDiffPath(text) {
+    if (!text.startsWith('"')) return text.replace(/\t$/, '');
+    const bytes = [];
+    for (let i = 1; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] !== '\\') {
+            bytes.push(...Buffer.from(text[i]));
+        } else if (/[0-7]/.test(text[i + 1])) {
+            bytes.push(parseInt(text.slice(i + 1, i + 4), 8));
+            i += 3;
+        } else {
+            bytes.push(...Buffer.from(ESCAPES[text[i + 1]] || text[i + 1]));
+            i++;
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+// Parses `git diff -U0` output into a Map from each changed file (relative
+// to the directory git ran in) to the line ranges [start, end] changed on
+// the new side. A pure deletion marks the lines on either side of it.
+function parseDiff(output) {
+    const changes = new Map();
+    let ranges = null;
+    for (const line of output.split('\n')) {
+        if (line.startsWith('+++ ')) {
+            const file = parseDiffPath(line.slice(4));
+            if (file === '/dev/null') {
+                ranges = null;
+            } else {
+                ranges = [];
+                changes.set(file.replace(/^b\//, ''), ranges);
+            }
+            continue;
+        }
+        const hunk = ranges && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+        if (!hunk) continue;
+        const start = parseInt(hunk[1]);
+        const count = hunk[2] === undefined ? 1 : parseInt(hunk[2]);
+        if (count === 0) {
+            ranges.push([Math.max(1, start), start + 1]);
+        } else {
+            ranges.push([start, start + count - 1]);
+        }
+    }
+    return changes;
+}
+
+// The files changed in `scope` (from parseGitScope) under `dir`, each with
+// its changed line ranges. Untracked files count as changed throughout.
+async function getChangedLines(dir, scope) {
+    try {
+        await runCommand('git', ['rev-parse', '--is-inside-work-tree'], { cwd: dir });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        throw new Error(`Not a git repository: ${dir}`);
+    }
+    const args = ['-c', 'core.quotePath=false', 'diff', '--no-color', '--no-ext-diff',
+        '--src-prefix=a/', '--dst-prefix=b/', '-U0', '--relative'];
+    if (scope.kind === 'working') args.push(await workingBase(dir));
+    else if (scope.kind === 'staged') args.push('--cached');
+    else args.push(scope.range);
+    args.push('--');
+
+    const changes = parseDiff(await runCommand('git', args, { cwd: dir }));
+    if (scope.kind === 'working') {
+        const untracked = await runCommand('git', ['ls-files', '-z', '--others', '--exclude-standard'], { cwd: dir });
+        for (const file of untracked.split('\0').filter(file => file)) {
+            changes.set(file, [[1, Infinity]]);
+        }
+    }
+    return changes;
+}
+
+// What the working tree is compared with: HEAD, or in a repository without
+// commits the empty tree, so that staged and unstaged files all count
+async function workingBase(dir) {
+    try {
+        await runCommand('git', ['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], { cwd: dir });
+        return 'HEAD';
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        return (await runCommand('git', ['hash-object', '-t', 'tree', '/dev/null'], { cwd: dir })).trim();
+    }
+}
+
+// Number of lines from `start` to `end` that fall in one of `ranges`
+function countChangedLines(ranges, start, end) {
+    let count = 0;
+    for (let line = start; line <= end; line++) {
+        if (ranges.some(([from, to]) => line >= from && line <= to)) count++;
+    }
+    return count;
+}
+
+module.exports = {
+    parseGitScope,
+    parseDiff,
+    getChangedLines,
+    countChangedLines
+};
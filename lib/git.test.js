@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { countChangedLines, getChangedLines, parseDiff, parseGitScope } = require('./git.js');
+
+function git(dir, ...args) {
+    return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, encoding: 'utf8' });
+}
+
+function createRepo(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-git-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    git(dir, 'init', '-q');
+    return dir;
+}
+
+test('parseGitScope accepts working, staged and revision ranges', () => {
+    assert.strictEqual(parseGitScope('working').kind, 'working');
+    assert.strictEqual(parseGitScope('staged').kind, 'staged');
+    assert.deepStrictEqual(parseGitScope('main..HEAD'), { kind: 'range', value: 'main..HEAD', range: 'main..HEAD', label: 'main..HEAD' });
+    assert.strictEqual(parseGitScope('origin/main...HEAD~2').range, 'origin/main...HEAD~2');
+    assert.strictEqual(parseGitScope('main..').range, 'main..');
+    for (const scope of ['main', '..', '--output=x..HEAD', 'main..-p', 'a b..c', undefined]) {
+        assert.throws(() => parseGitScope(scope), /git_scope must be/);
+    }
+});
+
+test('parseDiff collects the changed lines of each file', () => {
+    const diff = [
+        'diff --git a/src/a.c b/src/a.c',
+        '--- a/src/a.c',
+        '+++ b/src/a.c',
+        '@@ -3 +3 @@',
+        '@@ -10,0 +11,2 @@',
+        '@@ -20,2 +21,0 @@',
+        'diff --git a/gone.c b/gone.c',
+        '--- a/gone.c',
+        '+++ /dev/null',
+        '@@ -1,5 +0,0 @@'
+    ].join('\n');
+    assert.deepStrictEqual(parseDiff(diff), new Map([['src/a.c', [[3, 3], [11, 12], [21, 22]]]]));
+});
+
+test('parseDiff reads paths with spaces and quoted paths', () => {
+    const diff = [
+        '+++ b/my file.c\t',
+        '@@ -1 +1 @@',
+        '+++ "b/tab\\tname.c"',
+        '@@ -1 +1 @@',
+        '+++ "b/caf\\303\\251 \\"x\\".c"',
+        '@@ -1 +1 @@'
+    ].join('\n');
+    assert.deepStrictEqual([...parseDiff(diff).keys()], ['my file.c', 'tab\tname.c', 'café "x".c']);
+});
+
+test('countChangedLines counts lines inside the ranges', () => {
+    assert.strictEqual(countChangedLines([[3, 4], [8, 8]], 1, 10), 3);
+    assert.strictEqual(countChangedLines([[3, 4]], 5, 7), 0);
+    assert.strictEqual(countChangedLines([[1, Infinity]], 2, 5), 4);
+});
+
+test('working scope compares with HEAD', async (t) => {
+    const dir = createRepo(t);
+    fs.writeFileSync(path.join(dir, 'my file.c'), 'a\nb\nc\n');
+    git(dir, 'add', '-A');
+    git(dir, 'commit', '-qm', 'initial');
+    fs.writeFileSync(path.join(dir, 'my file.c'), 'a\nB\nc\n');
+    fs.writeFileSync(path.join(dir, 'new.c'), 'x\n');
+    const changes = await getChangedLines(dir, parseGitScope('working'));
+    assert.deepStrictEqual(changes, new Map([['my file.c', [[2, 2]]], ['new.c', [[1, Infinity]]]]));
+});
+
+test('working scope works in a repository without commits', async (t) => {
+    const dir = createRepo(t);
+    fs.writeFileSync(path.join(dir, 'staged.c'), 'a\nb\n');
+    git(dir, 'add', 'staged.c');
+    fs.writeFileSync(path.join(dir, 'staged.c'), 'a\nb\nc\n');
+    fs.writeFileSync(path.join(dir, 'untracked.c'), 'x\n');
+    const changes = await getChangedLines(dir, parseGitScope('working'));
+    assert.deepStrictEqual(changes, new Map([['staged.c', [[1, 3]]], ['untracked.c', [[1, Infinity]]]]));
+});
+
+test('getChangedLines rejects directories outside git', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-nogit-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    await assert.rejects(getChangedLines(dir, parseGitScope('working')), /Not a git repository/);
+});
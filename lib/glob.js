@@ -0,0 +1,72 @@
+// Minimal glob matching for project-relative paths.
+// Supports `*`, `**`, `?`, `[...]` and `{a,b}`.
+
+function globToRegExp(glob) {
+    let re = '';
+    let braceDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const ch = glob[i];
+        if (ch === '*') {
+            if (glob[i + 1] === '*') {
+                // `**/` matches zero or more directories
+                if (glob[i + 2] === '/') {
+                    re += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i++;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (ch === '?') {
+            re += '[^/]';
+        } else if (ch === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                re += '\\[';
+            } else {
+                let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (cls.startsWith('!')) cls = '^' + cls.slice(1);
+                re += `[${cls}]`;
+                i = end;
+            }
+        } else if (ch === '{' && glob.indexOf('}', i + 1) !== -1) {
+            braceDepth++;
+            re += '(?:';
+        } else if (ch === '}' && braceDepth > 0) {
+            braceDepth--;
+            re += ')';
+        } else if (ch === ',' && braceDepth > 0) {
+            re += '|';
+        } else {
+            re += ch.replace(/[.+^$()|{}\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+function hasGlobChars(pattern) {
+    return /[*?[{]/.test(pattern);
+}
+
+// A pattern without a slash matches the file name in any directory,
+// like .gitignore does.
+function matchesGlob(file, pattern) {
+    const normalized = file.replace(/^\.\//, '');
+    let glob = pattern.replace(/^\.\//, '');
+    if (glob.endsWith('/')) glob += '**';
+    if (!glob.includes('/')) glob = '**/' + glob;
+    return globToRegExp(glob).test(normalized);
+}
+
+function matchesAnyGlob(file, patterns) {
+    return patterns.some(pattern => matchesGlob(file, pattern));
+}
+
+module.exports = {
+    globToRegExp,
+    hasGlobChars,
+    matchesGlob,
+    matchesAnyGlob
+};
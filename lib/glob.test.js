@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, hasGlobChars, matchesAnyGlob, matchesGlob } = require('./glob.js');
+
+test('globToRegExp translates wildcards', () => {
+    const re = globToRegExp('src/**/*.c');
+    assert.ok(re.test('src/a.c'));
+    assert.ok(re.test('src/x/y/a.c'));
+    assert.ok(!re.test('lib/a.c'));
+    assert.ok(!globToRegExp('*.c').test('src/a.c'));
+    assert.ok(globToRegExp('a?.c').test('ab.c'));
+    assert.ok(!globToRegExp('a?.c').test('a/.c'));
+});
+
+test('globToRegExp supports classes and alternatives', () => {
+    assert.ok(globToRegExp('[ab]*.c').test('bar.c'));
+    assert.ok(!globToRegExp('[!ab]*.c').test('bar.c'));
+    assert.ok(globToRegExp('*.{c,h}').test('a.h'));
+    assert.ok(!globToRegExp('*.{c,h}').test('a.cc'));
+});
+
+test('globToRegExp takes special characters literally', () => {
+    assert.ok(globToRegExp('foo(1)+.c').test('foo(1)+.c'));
+    assert.ok(globToRegExp('a{b').test('a{b'));
+    assert.ok(globToRegExp('a}b').test('a}b'));
+    assert.ok(globToRegExp('a[b').test('a[b'));
+});
+
+test('matchesGlob matches slash-less patterns in any directory', () => {
+    assert.ok(matchesGlob('./src/util/a.c', 'a.c'));
+    assert.ok(matchesGlob('src/util/a.c', '*.c'));
+    assert.ok(matchesGlob('src/util/a.c', 'src/'));
+    assert.ok(matchesGlob('src/util/a.c', './src/**'));
+    assert.ok(!matchesGlob('src/util/a.c', 'util/*.c'));
+    assert.ok(matchesAnyGlob('a.h', ['*.c', '*.h']));
+    assert.ok(!matchesAnyGlob('a.h', []));
+});
+
+test('hasGlobChars spots wildcards', () => {
+    assert.ok(hasGlobChars('src/*.c'));
+    assert.ok(hasGlobChars('*.{c,h}'));
+    assert.ok(!hasGlobChars('src/main.c'));
+});
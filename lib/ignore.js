@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./glob.js');
+
+// Paths the watcher never reacts to. The GLOBAL tag files must be in here,
+// otherwise every update would trigger another one.
+const ALWAYS_IGNORED = [
+    '.git/',
+    '.hg/',
+    '.svn/',
+    'GTAGS',
+    'GRTAGS',
+    'GPATH',
+    'GTAGSROOT',
+    '*.swp',
+    '*~',
+    '.#*'
+];
+
+// Turns one .gitignore line into a rule, or null for blanks and comments
+function parseIgnoreLine(line) {
+    let pattern = line.replace(/\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\')) {
+        pattern = pattern.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (pattern.endsWith('/')) {
+        directoryOnly = true;
+        pattern = pattern.slice(0, -1);
+    }
+
+    // A slash anywhere but at the end anchors the pattern to the root
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+    const glob = anchored ? pattern : `**/${pattern}`;
+
+    return { negate, directoryOnly, regex: globToRegExp(glob) };
+}
+
+function readIgnoreFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8').split('\n');
+    } catch (error) {
+        return [];
+    }
+}
+
+// Loads the ignore rules of a project: built-in rules, the root .gitignore
+// and .git/info/exclude. Returns a function telling whether a
+// project-relative path (a directory if `isDirectory` is set) is ignored.
+function loadIgnoreRules(projectDir, extraPatterns = []) {
+    const lines = [
+        ...ALWAYS_IGNORED,
+        ...readIgnoreFile(path.join(projectDir, '.git', 'info', 'exclude')),
+        ...readIgnoreFile(path.join(projectDir, '.gitignore')),
+        ...extraPatterns
+    ];
+    const rules = lines.map(parseIgnoreLine).filter(rule => rule);
+
+    return (relativePath, isDirectory = false) => {
+        const parts = relativePath.split(path.sep).join('/').split('/').filter(part => part);
+        let ignored = false;
+        // A path is ignored when it or any of its parent directories matches;
+        // later rules override earlier ones, like git does.
+        for (let i = 1; i <= parts.length; i++) {
+            const candidate = parts.slice(0, i).join('/');
+            const candidateIsDirectory = i < parts.length || isDirectory;
+            for (const rule of rules) {
+                if (rule.directoryOnly && !candidateIsDirectory) continue;
+                if (rule.regex.test(candidate)) {
+                    ignored = !rule.negate;
+                }
+            }
+            if (ignored && i < parts.length) return true;
+        }
+        return ignored;
+    };
+}
+
+module.exports = {
+    loadIgnoreRules
+};
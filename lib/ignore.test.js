@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadIgnoreRules } = require('./ignore.js');
+
+function createProject(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-ignore-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [file, text] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), text);
+    }
+    return dir;
+}
+
+test('tag files and version control directories are always ignored', (t) => {
+    const isIgnored = loadIgnoreRules(createProject(t, {}));
+    for (const file of ['GTAGS', 'sub/GPATH', '.git/index', 'src/.main.c.swp', 'src/main.c~']) {
+        assert.strictEqual(isIgnored(file), true, file);
+    }
+    assert.strictEqual(isIgnored('src/main.c'), false);
+});
+
+test('.gitignore rules follow git semantics', (t) => {
+    const isIgnored = loadIgnoreRules(createProject(t, {
+        '.gitignore': '# build output\n*.o\n/build\nlogs/\n!keep.o\ndocs/*.md\n\\#notes\n',
+        '.git/info/exclude': 'local.c\n'
+    }));
+    assert.strictEqual(isIgnored('src/a.o'), true);
+    assert.strictEqual(isIgnored('src/keep.o'), false);
+    assert.strictEqual(isIgnored('build/out.c'), true);
+    assert.strictEqual(isIgnored('src/build/out.c'), false);
+    assert.strictEqual(isIgnored('logs', true), true);
+    assert.strictEqual(isIgnored('logs'), false);
+    assert.strictEqual(isIgnored('a/logs/x.c'), true);
+    assert.strictEqual(isIgnored('docs/a.md'), true);
+    assert.strictEqual(isIgnored('docs/sub/a.md'), false);
+    assert.strictEqual(isIgnored('#notes'), true);
+    assert.strictEqual(isIgnored('src/local.c'), true);
+});
+
+test('extra patterns are applied after .gitignore', (t) => {
+    const isIgnored = loadIgnoreRules(createProject(t, { '.gitignore': '*.gen.c\n' }), ['third_party/', '!keep.gen.c']);
+    assert.strictEqual(isIgnored('third_party/x.c'), true);
+    assert.strictEqual(isIgnored('a.gen.c'), true);
+    assert.strictEqual(isIgnored('keep.gen.c'), false);
+});
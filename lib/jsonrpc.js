@@ -0,0 +1,27 @@
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+// MCP: resources/read for a URI the server doesn't have
+const RESOURCE_NOT_FOUND = -32002;
+
+// An error that is reported to the client with a specific JSON-RPC code
+class JsonRpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'JsonRpcError';
+        this.code = code;
+    }
+}
+
+module.exports = {
+    PARSE_ERROR,
+    INVALID_REQUEST,
+    METHOD_NOT_FOUND,
+    INVALID_PARAMS,
+    INTERNAL_ERROR,
+    RESOURCE_NOT_FOUND,
+    JsonRpcError
+};
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { INVALID_REQUEST, JsonRpcError, METHOD_NOT_FOUND, PARSE_ERROR } = require('./jsonrpc.js');
+
+// A server process speaking JSON-RPC over stdio. `send` writes raw text;
+// `next` resolves with the next message the server writes.
+function connect(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-rpc-'));
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'gtags-mcp'), '--dir', dir], { stdio: ['pipe', 'pipe', 'ignore'] });
+    t.after(() => {
+        child.kill();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const received = [];
+    const waiting = [];
+    let buffer = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (data) => {
+        buffer += data;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const message = JSON.parse(buffer.slice(0, newline));
+            buffer = buffer.slice(newline + 1);
+            // Log messages may come at any time; the tests only look at replies
+            if (message.method === 'notifications/message') continue;
+            if (waiting.length > 0) waiting.shift()(message);
+            else received.push(message);
+        }
+    });
+    return {
+        send: text => child.stdin.write(text),
+        next: () => received.length > 0 ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve))
+    };
+}
+
+test('JsonRpcError carries its code', () => {
+    const error = new JsonRpcError(METHOD_NOT_FOUND, 'nope');
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, 'JsonRpcError');
+    assert.strictEqual(error.code, -32601);
+});
+
+test('messages split across chunks are put back together', async (t) => {
+    const rpc = connect(t);
+    rpc.send('{"jsonrpc":"2.0","id":1,');
+    rpc.send('"method":"ping"}\n{"jsonrpc":"2.0","id":2,"method":"ping"}\n');
+    assert.deepStrictEqual(await rpc.next(), { jsonrpc: '2.0', id: 1, result: {} });
+    assert.deepStrictEqual(await rpc.next(), { jsonrpc: '2.0', id: 2, result: {} });
+});
+
+test('malformed messages get JSON-RPC errors', async (t) => {
+    const rpc = connect(t);
+    rpc.send('{not json\n');
+    assert.deepStrictEqual(await rpc.next(), { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+    rpc.send('{"id":3,"method":"ping"}\n');
+    assert.deepStrictEqual(await rpc.next(), { jsonrpc: '2.0', id: 3, error: { code: INVALID_REQUEST, message: 'Invalid Request' } });
+    rpc.send('{"jsonrpc":"2.0","id":4,"method":"no/such/method"}\n');
+    const reply = await rpc.next();
+    assert.strictEqual(reply.id, 4);
+    assert.strictEqual(reply.error.code, METHOD_NOT_FOUND);
+});
+
+test('notifications get no reply', async (t) => {
+    const rpc = connect(t);
+    rpc.send('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    rpc.send('{"jsonrpc":"2.0","method":"no/such/notification"}\n');
+    rpc.send('{"jsonrpc":"2.0","id":5,"method":"ping"}\n');
+    assert.deepStrictEqual(await rpc.next(), { jsonrpc: '2.0', id: 5, result: {} });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { requestContext, runCommand } = require('./command.js');
+
+// Where the tag files of libraries are kept. Library directories such as
+// /usr/include are usually read-only, so their index goes to
+// <root>/<library directory>, which is where `gtags -O` writes it and
+// `global` looks for it when GTAGSOBJDIRPREFIX is set.
+function defaultIndexRoot() {
+    const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(cacheHome, 'gtags-mcp', 'libraries');
+}
+
+function isInside(dir, file) {
+    const relative = path.relative(dir, file);
+    return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// A library or system source directory (a vendored SDK, /usr/include)
+// searched for definitions through GTAGSLIBPATH. Unlike a project its
+// index is built once and never updated. Shared by all projects using it.
+class LibraryIndex {
+    constructor(dir, options = {}) {
+        this.dir = path.resolve(dir);
+        this.name = options.name || path.basename(this.dir);
+        this.indexRoot = options.indexRoot || defaultIndexRoot();
+        this.reporter = options.reporter;
+        this.realDir = null;
+        this.building = null;
+        this.error = null;
+    }
+
+    // The directory `gtags -O` builds the index in
+    get objDir() {
+        return path.join(this.indexRoot, this.dir);
+    }
+
+    // Where the tag files are: an index in the library itself takes
+    // precedence, as it does for `global`. Null while there is none.
+    async findIndex() {
+        for (const dir of [this.dir, this.objDir]) {
+            try {
+                await fs.access(path.join(dir, 'GTAGS'));
+                return dir;
+            } catch (error) {
+                // Not indexed there
+            }
+        }
+        return null;
+    }
+
+    // Builds the index unless one exists. Concurrent callers share the
+    // build, and a failed build is not retried (index_status reports it).
+    ensureIndex() {
+        if (!this.building) {
+            // The build is shared, so cancelling the request that happened to
+            // start it must not kill it
+            this.building = requestContext.exit(async () => {
+                if (await this.findIndex()) return;
+                const startedAt = Date.now();
+                this.reporter.log('info', `Building library index of ${this.dir} in ${this.objDir}`);
+                try {
+                    await fs.mkdir(this.objDir, { recursive: true });
+                    await runCommand('gtags', ['-O'], {
+                        cwd: this.dir,
+                        env: { ...process.env, GTAGSOBJDIRPREFIX: this.indexRoot },
+                        timeout: 0
+                    });
+                } catch (error) {
+                    this.error = error.message;
+                    throw error;
+                }
+                this.reporter.log('info', `Indexed library ${this.dir} in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+            });
+        }
+        return this.building;
+    }
+
+    // Whether an absolute path lies in the library, also through symlinks
+    async contains(file) {
+        if (isInside(this.dir, file)) return true;
+        try {
+            if (!this.realDir) this.realDir = await fs.realpath(this.dir);
+            return isInside(this.realDir, await fs.realpath(file));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // The state of the library as reported by index_status
+    async getStatus() {
+        return {
+            name: this.name,
+            dir: this.dir,
+            indexDir: await this.findIndex(),
+            error: this.error
+        };
+    }
+}
+
+module.exports = {
+    LibraryIndex,
+    defaultIndexRoot,
+    isInside
+};
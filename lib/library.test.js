@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryIndex, defaultIndexRoot, isInside } = require('./library.js');
+
+function tempDir(t, prefix) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('isInside accepts descendants only', () => {
+    assert.strictEqual(isInside('/usr/include', '/usr/include/stdio.h'), true);
+    assert.strictEqual(isInside('/usr/include', '/usr/include/..hidden.h'), true);
+    assert.strictEqual(isInside('/usr/include', '/usr/include'), false);
+    assert.strictEqual(isInside('/usr/include', '/usr/include2/x.h'), false);
+    assert.strictEqual(isInside('/usr/include', '/usr/lib/x.h'), false);
+});
+
+test('the index root follows XDG_CACHE_HOME', (t) => {
+    const saved = process.env.XDG_CACHE_HOME;
+    t.after(() => {
+        if (saved === undefined) delete process.env.XDG_CACHE_HOME;
+        else process.env.XDG_CACHE_HOME = saved;
+    });
+    process.env.XDG_CACHE_HOME = '/tmp/cache';
+    assert.strictEqual(defaultIndexRoot(), path.join('/tmp/cache', 'gtags-mcp', 'libraries'));
+});
+
+test('an index in the library itself is preferred over the cached one', async (t) => {
+    const dir = tempDir(t, 'gtags-mcp-lib-');
+    const indexRoot = tempDir(t, 'gtags-mcp-libindex-');
+    const library = new LibraryIndex(dir, { indexRoot });
+    assert.strictEqual(library.name, path.basename(dir));
+    assert.strictEqual(library.objDir, path.join(indexRoot, dir));
+    assert.strictEqual(await library.findIndex(), null);
+
+    fs.mkdirSync(library.objDir, { recursive: true });
+    fs.writeFileSync(path.join(library.objDir, 'GTAGS'), '');
+    assert.strictEqual(await library.findIndex(), library.objDir);
+    fs.writeFileSync(path.join(dir, 'GTAGS'), '');
+    assert.strictEqual(await library.findIndex(), dir);
+
+    // Nothing to build when there is an index
+    await library.ensureIndex();
+    assert.deepStrictEqual(await library.getStatus(), { name: path.basename(dir), dir, indexDir: dir, error: null });
+});
+
+test('contains follows symlinks into the library', async (t) => {
+    const dir = tempDir(t, 'gtags-mcp-lib-');
+    const other = tempDir(t, 'gtags-mcp-other-');
+    fs.writeFileSync(path.join(dir, 'sdk.h'), '');
+    fs.symlinkSync(path.join(dir, 'sdk.h'), path.join(other, 'link.h'));
+    const library = new LibraryIndex(dir, { name: 'sdk' });
+    assert.strictEqual(await library.contains(path.join(dir, 'sdk.h')), true);
+    assert.strictEqual(await library.contains(path.join(other, 'link.h')), true);
+    assert.strictEqual(await library.contains(path.join(other, 'missing.h')), false);
+});
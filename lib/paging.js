@@ -0,0 +1,171 @@
+const { matchesAnyGlob } = require('./glob.js');
+
+const DEFAULT_RESULT_LIMIT = 100;
+const MAX_RESULT_LIMIT = 1000;
+
+const TEST_PATH_PATTERNS = [
+    /(^|\/)(test|tests|spec|specs|__tests__|testing|testdata)\//,
+    /[._-](test|spec)s?\.[^/]+$/,
+    /_test\.go$/,
+    /(^|\/)test_[^/]+\.py$/
+];
+const VENDOR_PATH_PATTERNS = [
+    /(^|\/)(vendor|third_party|thirdparty|3rdparty|external|node_modules|deps|bower_components)\//,
+    /\.min\.js$/,
+    /\.pb\.(go|cc|h)$/,
+    /_pb2\.py$/,
+    /(^|\/)(generated|gen)\//
+];
+
+// Schema properties shared by every query tool
+const PAGING_PROPERTIES = {
+    limit: {
+        type: "integer",
+        minimum: 1,
+        maximum: MAX_RESULT_LIMIT,
+        description: `Maximum number of results to return (default: ${DEFAULT_RESULT_LIMIT})`
+    },
+    offset: {
+        type: "integer",
+        minimum: 0,
+        description: "Number of results to skip"
+    },
+    cursor: {
+        type: "string",
+        description: "Cursor returned by a previous call to fetch the next page (overrides offset)"
+    },
+    include: {
+        type: "array",
+        items: { type: "string" },
+        description: "Only return results from files matching these globs (e.g. \"src/**\")"
+    },
+    exclude: {
+        type: "array",
+        items: { type: "string" },
+        description: "Drop results from files matching these globs (e.g. \"**/test/**\")"
+    }
+};
+
+// 0 for regular source, 1 for tests, 2 for vendored or generated code
+function relevanceRank(file) {
+    if (!file) return 0;
+    if (VENDOR_PATH_PATTERNS.some(re => re.test(file))) return 2;
+    if (TEST_PATH_PATTERNS.some(re => re.test(file))) return 1;
+    return 0;
+}
+
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0) return offset;
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new Error(`Invalid cursor: ${cursor}`);
+}
+
+function toGlobList(value, name) {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    if (!list.every(item => typeof item === 'string')) {
+        throw new Error(`${name} must be a glob string or an array of glob strings`);
+    }
+    return list.filter(item => item.trim());
+}
+
+// Validates the paging arguments of a tool call. `limits` can lower the
+// default and maximum page size (`defaultResults`, `maxResults`).
+function parsePagingOptions(args = {}, limits = {}) {
+    const maxLimit = limits.maxResults || MAX_RESULT_LIMIT;
+    let limit = Math.min(limits.defaultResults || DEFAULT_RESULT_LIMIT, maxLimit);
+    if (args.limit !== undefined) {
+        limit = Number(args.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+            throw new Error(`limit must be an integer between 1 and ${maxLimit}`);
+        }
+    }
+
+    let offset = 0;
+    if (args.cursor !== undefined) {
+        offset = decodeCursor(String(args.cursor));
+    } else if (args.offset !== undefined) {
+        offset = Number(args.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error('offset must be a non-negative integer');
+        }
+    }
+
+    return {
+        limit,
+        offset,
+        include: toGlobList(args.include, 'include'),
+        exclude: toGlobList(args.exclude, 'exclude')
+    };
+}
+
+function matchesPathFilters(file, paging) {
+    if (!file) return paging.include.length === 0;
+    if (paging.include.length > 0 && !matchesAnyGlob(file, paging.include)) return false;
+    if (paging.exclude.length > 0 && matchesAnyGlob(file, paging.exclude)) return false;
+    return true;
+}
+
+// Filters `items` by the include/exclude globs, orders them so regular
+// source comes before tests and vendored code (keeping GLOBAL's order
+// otherwise) and cuts out one page. `rankOf` replaces that ordering.
+function paginate(items, paging, fileOf = item => item.file, rankOf = item => relevanceRank(fileOf(item))) {
+    const ranked = items
+        .filter(item => matchesPathFilters(fileOf(item), paging))
+        .map((item, index) => ({ item, index, rank: rankOf(item) }))
+        .sort((a, b) => a.rank - b.rank || a.index - b.index)
+        .map(entry => entry.item);
+
+    const page = ranked.slice(paging.offset, paging.offset + paging.limit);
+    const nextOffset = paging.offset + page.length;
+    const truncated = nextOffset < ranked.length;
+    return {
+        items: page,
+        total: ranked.length,
+        offset: paging.offset,
+        truncated,
+        nextCursor: truncated ? encodeCursor(nextOffset) : null
+    };
+}
+
+// Paging fields reported in structured tool results
+function pageMetadata(page) {
+    return {
+        total: page.total,
+        offset: page.offset,
+        truncated: page.truncated,
+        nextCursor: page.nextCursor
+    };
+}
+
+// One-line summary appended to text output when there is more than one page
+function formatPageFooter(page) {
+    if (!page.truncated && page.offset === 0) return '';
+    const first = page.items.length > 0 ? page.offset + 1 : page.offset;
+    const last = page.offset + page.items.length;
+    let footer = `\n\nShowing ${first}-${last} of ${page.total} results.`;
+    if (page.truncated) {
+        footer += ` Pass cursor "${page.nextCursor}" for the next page.`;
+    }
+    return footer;
+}
+
+module.exports = {
+    DEFAULT_RESULT_LIMIT,
+    MAX_RESULT_LIMIT,
+    PAGING_PROPERTIES,
+    relevanceRank,
+    parsePagingOptions,
+    matchesPathFilters,
+    paginate,
+    pageMetadata,
+    formatPageFooter
+};
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_RESULT_LIMIT, formatPageFooter, paginate, parsePagingOptions, relevanceRank } = require('./paging.js');
+
+test('parsePagingOptions applies defaults and limits', () => {
+    assert.deepStrictEqual(parsePagingOptions(), { limit: DEFAULT_RESULT_LIMIT, offset: 0, include: [], exclude: [] });
+    assert.strictEqual(parsePagingOptions({}, { defaultResults: 20 }).limit, 20);
+    assert.strictEqual(parsePagingOptions({ limit: 5, offset: 10 }).offset, 10);
+    assert.deepStrictEqual(parsePagingOptions({ include: 'src/**', exclude: ['', '**/test/**'] }).exclude, ['**/test/**']);
+    assert.throws(() => parsePagingOptions({ limit: 0 }), /limit must be an integer between 1 and 1000/);
+    assert.throws(() => parsePagingOptions({ limit: 50 }, { maxResults: 10 }), /between 1 and 10/);
+    assert.throws(() => parsePagingOptions({ offset: -1 }), /offset must be a non-negative integer/);
+    assert.throws(() => parsePagingOptions({ include: [1] }), /include must be a glob string/);
+    assert.throws(() => parsePagingOptions({ cursor: 'bogus' }), /Invalid cursor/);
+});
+
+test('relevanceRank puts tests and vendored code last', () => {
+    assert.strictEqual(relevanceRank('src/main.c'), 0);
+    assert.strictEqual(relevanceRank('src/main_test.go'), 1);
+    assert.strictEqual(relevanceRank('tests/test_main.py'), 1);
+    assert.strictEqual(relevanceRank('vendor/lib/x.c'), 2);
+    assert.strictEqual(relevanceRank('web/app.min.js'), 2);
+});
+
+test('paginate filters, ranks and pages with cursors', () => {
+    const items = ['vendor/a.c', 'src/a_test.c', 'src/b.c', 'src/c.c', 'docs/d.c'].map(file => ({ file }));
+    const first = paginate(items, parsePagingOptions({ limit: 2, exclude: 'docs/' }));
+    assert.deepStrictEqual(first.items.map(item => item.file), ['src/b.c', 'src/c.c']);
+    assert.strictEqual(first.total, 4);
+    assert.strictEqual(first.truncated, true);
+
+    const second = paginate(items, parsePagingOptions({ limit: 2, exclude: 'docs/', cursor: first.nextCursor }));
+    assert.deepStrictEqual(second.items.map(item => item.file), ['src/a_test.c', 'vendor/a.c']);
+    assert.strictEqual(second.truncated, false);
+    assert.strictEqual(second.nextCursor, null);
+
+    const included = paginate(items, parsePagingOptions({ include: 'src/**' }));
+    assert.deepStrictEqual(included.items.map(item => item.file), ['src/b.c', 'src/c.c', 'src/a_test.c']);
+});
+
+test('formatPageFooter describes partial pages only', () => {
+    const items = ['a.c', 'b.c', 'c.c'].map(file => ({ file }));
+    assert.strictEqual(formatPageFooter(paginate(items, parsePagingOptions())), '');
+    const page = paginate(items, parsePagingOptions({ limit: 2 }));
+    assert.strictEqual(formatPageFooter(page), `\n\nShowing 1-2 of 3 results. Pass cursor "${page.nextCursor}" for the next page.`);
+    assert.strictEqual(formatPageFooter(paginate(items, parsePagingOptions({ offset: 2 }))), '\n\nShowing 3-3 of 3 results.');
+});
@@ -0,0 +1,52 @@
+const { runCommand } = require('./command.js');
+
+// GTAGSLABEL values we know how to check for. `native` is GLOBAL's built-in
+// parser; the others are plug-in parsers defined in the stock gtags.conf.
+const PARSER_LABELS = ['native', 'ctags', 'new-ctags', 'pygments'];
+
+// What to try next when a plug-in parser is unavailable
+const FALLBACK_LABELS = {
+    'new-ctags': 'ctags',
+    'ctags': 'native',
+    'pygments': 'native'
+};
+
+// Checks that the external program a plug-in parser needs is installed.
+// Resolves with null if the parser looks usable, otherwise with the reason
+// it isn't. Whether GLOBAL itself was built with the plug-in only shows when
+// gtags runs.
+async function checkParser(label) {
+    switch (label) {
+        case 'ctags':
+        case 'new-ctags': {
+            let version;
+            try {
+                version = await runCommand('ctags', ['--version']);
+            } catch (error) {
+                return 'ctags is not installed';
+            }
+            if (label === 'new-ctags' && !version.includes('Universal Ctags')) {
+                return 'ctags is not Universal Ctags';
+            }
+            return null;
+        }
+        case 'pygments':
+            for (const python of ['python3', 'python']) {
+                try {
+                    await runCommand(python, ['-c', 'import pygments']);
+                    return null;
+                } catch (error) {
+                    // Try the next interpreter
+                }
+            }
+            return 'Python with the pygments package is not installed';
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    PARSER_LABELS,
+    FALLBACK_LABELS,
+    checkParser
+};
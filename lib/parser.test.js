@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FALLBACK_LABELS, PARSER_LABELS, checkParser } = require('./parser.js');
+const { normalizeParserConfig } = require('./config.js');
+
+test('every fallback chain ends at the native parser', () => {
+    for (const label of PARSER_LABELS) {
+        const seen = new Set();
+        let current = label;
+        while (FALLBACK_LABELS[current]) {
+            assert.ok(!seen.has(current), `fallback loop at ${current}`);
+            seen.add(current);
+            current = FALLBACK_LABELS[current];
+        }
+        assert.strictEqual(current, 'native');
+    }
+});
+
+test('the native parser needs no external program', async () => {
+    assert.strictEqual(await checkParser('native'), null);
+    assert.strictEqual(await checkParser('default'), null);
+});
+
+test('normalizeParserConfig resolves gtags.conf and file types', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-parser-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'gtags.conf'), '');
+
+    assert.deepStrictEqual(normalizeParserConfig({ label: 'ctags', gtagsConf: 'gtags.conf', fileTypes: ['.C', '*.h', 'py'] }, dir, 'cfg'), {
+        label: 'ctags',
+        gtagsConf: path.join(dir, 'gtags.conf'),
+        fileTypes: ['c', 'h', 'py']
+    });
+    assert.deepStrictEqual(normalizeParserConfig({}, dir, 'cfg'), {});
+    assert.throws(() => normalizeParserConfig({ label: 'clang' }, dir, 'cfg'), /^Error: cfg: label must be one of native, ctags, new-ctags, pygments/);
+    assert.throws(() => normalizeParserConfig({ gtagsConf: 'missing.conf' }, dir, 'cfg'), /gtags.conf not found/);
+    assert.throws(() => normalizeParserConfig({ fileTypes: ['.'] }, dir, 'cfg'), /fileTypes must be a non-empty list/);
+    assert.throws(() => normalizeParserConfig([], dir, 'cfg'), /parser settings must be an object/);
+});
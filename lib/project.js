@@ -0,0 +1,664 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const LruCache = require('./cache.js');
+const { requestContext, runCommand } = require('./command.js');
+const { loadIgnoreRules } = require('./ignore.js');
+const { INVALID_PARAMS, JsonRpcError } = require('./jsonrpc.js');
+const { isInside } = require('./library.js');
+const { FALLBACK_LABELS, checkParser } = require('./parser.js');
+const { watchProject } = require('./watcher.js');
+
+// Quiet period after the last file change before the index is updated
+const WATCH_DEBOUNCE_MS = 300;
+// Above this many changed files one `global -u` is cheaper than per-file updates
+const MAX_SINGLE_UPDATES = 50;
+// How long a query waits for a pending index update before using the current index
+const FRESHNESS_TIMEOUT_MS = 5000;
+// Minimum gap between progress notifications during a gtags run
+const PROGRESS_INTERVAL_MS = 500;
+// Bounds of the per-project caches of `global` output and file contents
+// (sizes in characters)
+const QUERY_CACHE_LIMITS = { maxEntries: 500, maxSize: 16 * 1024 * 1024 };
+const FILE_CACHE_LIMITS = { maxEntries: 200, maxSize: 16 * 1024 * 1024 };
+// How `global` reports a missing, unreadable or outdated index
+const INDEX_ERROR_PATTERN = /\b(?:GTAGS|GRTAGS|GPATH)\b.*(?:not found|corrupt|broken|invalid|format|version|cannot open|not readable)|\bdbop_/i;
+
+function hasFileType(file, fileTypes) {
+    return fileTypes.includes(path.extname(file).slice(1).toLowerCase());
+}
+
+// Project-relative paths of the files to index: those with one of
+// `fileTypes` (if given) as their extension, leaving out the paths the
+// watcher ignores
+async function listProjectFiles(projectDir, fileTypes, ignorePatterns) {
+    const isIgnored = loadIgnoreRules(projectDir, ignorePatterns);
+    const files = [];
+    const walk = async (relativeDir) => {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(projectDir, relativeDir), { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            const relative = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (!isIgnored(relative, true)) await walk(relative);
+            } else if (entry.isFile() && (!fileTypes || hasFileType(relative, fileTypes)) && !isIgnored(relative)) {
+                files.push(relative);
+            }
+        }
+    };
+    await walk('');
+    return files.sort();
+}
+
+// One project root with its own GNU GLOBAL database and update loop.
+// `reporter` receives log messages and progress (the server). `parser`
+// holds the parser settings: a GTAGSLABEL (`label`), a gtags.conf
+// (`gtagsConf`) and the extensions of the files to index (`fileTypes`).
+// `ignore` lists extra .gitignore-style patterns of paths not to index.
+// `libraries` are the LibraryIndex directories searched for definitions
+// the project doesn't have.
+class GtagsProject {
+    constructor(dir, options = {}) {
+        this.dir = path.resolve(dir);
+        this.name = options.name || path.basename(this.dir);
+        this.updateInterval = options.updateInterval || 15;
+        this.updateStrategy = options.updateStrategy || 'watch';
+        this.reporter = options.reporter;
+        this.parserConfig = options.parser || {};
+        this.ignorePatterns = options.ignore || [];
+        this.libraries = options.libraries || [];
+        // The label actually in use, which differs from the configured one
+        // after a fallback
+        this.parser = null;
+        this.parserFallback = null;
+        this.parserResolution = null;
+        // Real path of `dir`, for readFile
+        this.realDir = null;
+        // `global` output by arguments, emptied whenever the index changes
+        this.queryCache = new LruCache({ ...QUERY_CACHE_LIMITS, sizeOf: output => output.length });
+        // File contents by real path, each checked against the file's mtime
+        this.fileCache = new LruCache({ ...FILE_CACHE_LIMITS, sizeOf: entry => entry.text.length });
+        this.updateProcess = null;
+        this.updateIntervalTimer = null;
+        this.isRebuilding = false;
+        // Files indexed so far by the running full build
+        this.buildProgress = null;
+        this.watcher = null;
+        this.pendingFiles = new Set();
+        this.updateTimer = null;
+        this.fileUpdate = null;
+        this.freshnessWaiters = [];
+        this.rebuildPromise = null;
+        this.lastIndexBuild = null;
+        this.indexedFileCount = null;
+    }
+
+    // Reads a file given relative to the project root, as GLOBAL reports
+    // them, or an absolute path in one of the project's libraries. Paths
+    // leading elsewhere, also through symlinks, are refused so that a
+    // tampered index can't expose other files.
+    async readFile(file) {
+        if (!this.realDir) {
+            this.realDir = await fs.realpath(this.dir);
+        }
+        const realFile = await fs.realpath(path.resolve(this.dir, file));
+        if (!isInside(this.realDir, realFile) && !(await this.libraryOf(file))) {
+            throw new Error(`${file} is outside the project`);
+        }
+        const stat = await fs.stat(realFile);
+        const cached = this.fileCache.get(realFile);
+        if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+            return cached.text;
+        }
+        const text = await fs.readFile(realFile, 'utf8');
+        this.fileCache.set(realFile, { mtimeMs: stat.mtimeMs, size: stat.size, text });
+        return text;
+    }
+
+    // The library an absolute path (or one relative to the project root)
+    // lies in, or null
+    async libraryOf(file) {
+        const absolute = path.resolve(this.dir, file);
+        for (const library of this.libraries) {
+            if (await library.contains(absolute)) return library;
+        }
+        return null;
+    }
+
+    // Builds the indexes of the libraries that have none yet. A library
+    // that can't be indexed is simply not searched.
+    async ensureLibraryIndexes() {
+        await Promise.all(this.libraries.map(library => library.ensureIndex().catch(() => {})));
+    }
+
+    // Forgets cached query results after the index changed, and the
+    // contents of `files` (project-relative) if given, or else of all files
+    invalidateCaches(files) {
+        this.queryCache.clear();
+        if (!files) {
+            this.fileCache.clear();
+            return;
+        }
+        for (const file of files) {
+            this.fileCache.delete(path.join(this.realDir || this.dir, file));
+        }
+    }
+
+    // Cache statistics for index_status
+    getCacheStats() {
+        return { queries: this.queryCache.stats(), files: this.fileCache.stats() };
+    }
+
+    async ensureGtagsDatabase(progressToken) {
+        await this.resolveParser();
+        const gtagsPath = path.join(this.dir, 'GTAGS');
+        try {
+            await fs.access(gtagsPath);
+        } catch (error) {
+            // GTAGS database doesn't exist, create it
+            await this.rebuildGtagsDatabase(progressToken);
+        }
+    }
+
+    // Settles which parser to use. A configured plug-in parser whose program
+    // is missing is replaced by its fallback (new-ctags, ctags, native).
+    resolveParser() {
+        if (!this.parserResolution) {
+            // Not tied to the request that happens to ask first
+            this.parserResolution = requestContext.exit(async () => {
+                let label = this.parserConfig.label || 'default';
+                let reason;
+                while ((reason = await checkParser(label)) !== null) {
+                    label = this.fallBackFrom(label, reason);
+                }
+                this.parser = label;
+            });
+        }
+        return this.parserResolution;
+    }
+
+    // Gives up on parser `label` and returns the one to use instead
+    fallBackFrom(label, reason) {
+        const next = FALLBACK_LABELS[label];
+        if (!next) {
+            throw new Error(`Parser ${label} is unavailable: ${reason}`);
+        }
+        this.reporter.log('warning', `Parser ${label} is unavailable in ${this.dir} (${reason}), falling back to ${next}`);
+        const reasons = this.parserFallback ? `${this.parserFallback.reason}; ` : '';
+        this.parserFallback = { requested: this.parserConfig.label, reason: `${reasons}${label}: ${reason}` };
+        this.parser = next;
+        return next;
+    }
+
+    // Options for running gtags or global in the project with its parser.
+    // With `libraries`, global also searches the library indexes.
+    commandOptions(options = {}) {
+        const { libraries, ...rest } = options;
+        const env = { ...process.env };
+        if (this.parser && this.parser !== 'default') env.GTAGSLABEL = this.parser;
+        if (this.parserConfig.gtagsConf) env.GTAGSCONF = this.parserConfig.gtagsConf;
+        if (libraries && this.libraries.length > 0) {
+            env.GTAGSLIBPATH = this.libraries.map(library => library.dir).join(path.delimiter);
+            env.GTAGSOBJDIRPREFIX = this.libraries[0].indexRoot;
+        }
+        return { cwd: this.dir, env, ...rest };
+    }
+
+    // With `fileTypes` or ignore patterns configured, writes the files to
+    // index to a temporary list for `gtags -f`. Returns null when gtags
+    // picks the files itself.
+    async writeFileList() {
+        if (!this.parserConfig.fileTypes && this.ignorePatterns.length === 0) return null;
+        const files = await listProjectFiles(this.dir, this.parserConfig.fileTypes, this.ignorePatterns);
+        const listFile = path.join(os.tmpdir(), `gtags-mcp-${crypto.randomUUID()}.files`);
+        await fs.writeFile(listFile, files.map(file => file + '\n').join(''));
+        return listFile;
+    }
+
+    // Runs `gtags` in verbose mode so that its per-file output can be turned
+    // into progress notifications and log messages. If a plug-in parser
+    // fails, the build is retried with its fallback.
+    async runGtags(progressToken) {
+        const startedAt = new Date();
+        const total = this.indexedFileCount;
+        let files = 0;
+        let lastProgress = 0;
+
+        await this.resolveParser();
+        this.reporter.log('info', `Building GNU GLOBAL index in ${this.dir} (parser: ${this.parser})`);
+        this.reporter.sendProgress(progressToken, 0, total, 'Building GNU GLOBAL index');
+
+        const listFile = await this.writeFileList();
+        const args = listFile ? ['-v', '-f', listFile] : ['-v'];
+        const onStderr = (text) => {
+            for (const line of text.split('\n')) {
+                const match = line.match(/\[(\d+)\]\s+(.*)/);
+                if (!match) continue;
+                files = parseInt(match[1]);
+                this.buildProgress = { files, total };
+                const now = Date.now();
+                if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+                    lastProgress = now;
+                    this.reporter.sendProgress(progressToken, files, total, match[2].trim());
+                    this.reporter.log('debug', `gtags: ${match[2].trim()}`);
+                }
+            }
+        };
+        try {
+            for (;;) {
+                try {
+                    await runCommand('gtags', args, this.commandOptions({ onStderr, timeout: 0 }));
+                    break;
+                } catch (error) {
+                    if (error.name === 'AbortError' || !FALLBACK_LABELS[this.parser]) throw error;
+                    const lastLine = error.message.replace(/^Command failed with code \d+: /, '').trim().split('\n').pop();
+                    this.fallBackFrom(this.parser, `gtags failed: ${lastLine}`);
+                    files = 0;
+                }
+            }
+        } finally {
+            if (listFile) await fs.unlink(listFile).catch(() => {});
+            this.buildProgress = null;
+        }
+
+        this.invalidateCaches();
+        const finishedAt = new Date();
+        this.lastIndexBuild = {
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            files
+        };
+        this.indexedFileCount = files || this.indexedFileCount;
+        this.reporter.sendProgress(progressToken, files, files || total, 'Index built');
+        this.reporter.log('info', `Indexed ${files} files in ${this.dir} in ${((finishedAt - startedAt) / 1000).toFixed(1)}s`);
+    }
+
+    // The state of the index as reported by the index_status tool
+    async getStatus() {
+        await this.resolveParser();
+        const status = {
+            project: this.name,
+            projectDir: this.dir,
+            exists: false,
+            sizeBytes: 0,
+            files: null,
+            lastUpdated: null,
+            rebuilding: this.isRebuilding,
+            buildProgress: this.buildProgress,
+            updating: this.updateProcess !== null || this.fileUpdate !== null,
+            pendingFiles: this.pendingFiles.size,
+            updateStrategy: this.watcher ? 'watch' : 'interval',
+            parser: this.parser,
+            parserFallback: this.parserFallback,
+            gtagsConf: this.parserConfig.gtagsConf || null,
+            fileTypes: this.parserConfig.fileTypes || null,
+            lastBuild: this.lastIndexBuild,
+            cache: this.getCacheStats(),
+            libraries: await Promise.all(this.libraries.map(library => library.getStatus()))
+        };
+
+        for (const file of ['GTAGS', 'GRTAGS', 'GPATH']) {
+            try {
+                const stat = await fs.stat(path.join(this.dir, file));
+                status.sizeBytes += stat.size;
+                if (file === 'GTAGS') {
+                    status.exists = true;
+                    status.lastUpdated = stat.mtime.toISOString();
+                }
+            } catch (error) {
+                // Missing tag file
+            }
+        }
+        // Files updated incrementally don't touch GTAGS when their tags are unchanged
+        for (const file of ['GRTAGS', 'GPATH']) {
+            try {
+                const mtime = (await fs.stat(path.join(this.dir, file))).mtime.toISOString();
+                if (status.lastUpdated && mtime > status.lastUpdated) status.lastUpdated = mtime;
+            } catch (error) {
+                // Missing tag file
+            }
+        }
+
+        if (status.exists && !status.rebuilding) {
+            try {
+                const output = await runCommand('global', ['-P'], this.commandOptions());
+                status.files = output.trim().split('\n').filter(line => line.trim()).length;
+                this.indexedFileCount = status.files;
+            } catch (error) {
+                status.error = error.message;
+            }
+        }
+        return status;
+    }
+
+    // Concurrent callers share the rebuild already in progress
+    async rebuildGtagsDatabase(progressToken) {
+        if (this.isRebuilding) return this.rebuildPromise;
+        this.isRebuilding = true;
+        // The rebuild is shared, so it must not be killed if the request that
+        // happened to start it is cancelled. Its progress still goes to that
+        // request's client.
+        const context = requestContext.getStore();
+        this.rebuildPromise = requestContext.run({ channel: context && context.channel }, async () => {
+            try {
+                this.invalidateCaches();
+                for (const file of ['GTAGS', 'GRTAGS', 'GPATH']) {
+                    try { await fs.unlink(path.join(this.dir, file)); } catch (e) {}
+                }
+                await this.runGtags(progressToken);
+            } finally {
+                this.isRebuilding = false;
+                this.rebuildPromise = null;
+            }
+        });
+        return this.rebuildPromise;
+    }
+
+    // Runs `global` in the project root, rebuilding the database and retrying
+    // once if the query fails. The output is cached until the index changes,
+    // and identical queries running at the same time share one process.
+    // With `libraries` the library indexes are built first if need be.
+    async runGlobalWithRecovery(args, options = {}) {
+        await this.resolveParser();
+        this.checkNotBuilding();
+        await this.waitForFreshIndex();
+        if (options.libraries) await this.ensureLibraryIndexes();
+        const key = (options.libraries ? 'libraries\0' : '') + args.join('\0');
+        for (;;) {
+            try {
+                return await this.queryCache.getOrLoad(key, () => this.runGlobalUncached(args, options));
+            } catch (error) {
+                // The request that started a shared query was cancelled; unless
+                // this one was too, run the query again for it
+                const context = requestContext.getStore();
+                if (error.name !== 'AbortError' || (context && context.signal && context.signal.aborted)) throw error;
+            }
+        }
+    }
+
+    // Runs `global` and passes its output to `onLine` line by line instead
+    // of collecting it, for reports over every tag in the index whose output
+    // can be far larger than a query's. These runs have no time or size
+    // limit (cancelling the request still stops them) and aren't cached.
+    async scanGlobal(args, onLine) {
+        await this.resolveParser();
+        this.checkNotBuilding();
+        await this.waitForFreshIndex();
+        let rest = '';
+        const options = this.commandOptions({
+            timeout: 0,
+            onStdout: (text) => {
+                const lines = (rest + text).split('\n');
+                rest = lines.pop();
+                lines.forEach(line => onLine(line));
+            }
+        });
+        try {
+            await runCommand('global', args, options);
+        } catch (error) {
+            // An unusable index makes global fail before it prints anything
+            if (!(await this.isIndexError(error))) throw this.queryError(error);
+            await this.rebuildGtagsDatabase();
+            rest = '';
+            await runCommand('global', args, options);
+        }
+        if (rest) onLine(rest);
+    }
+
+    // Queries fail while the index is built from scratch rather than wait
+    // for a build that may take minutes; index_status shows its progress
+    checkNotBuilding() {
+        if (!this.isRebuilding) return;
+        const progress = this.buildProgress;
+        const done = progress ? ` (${progress.files}${progress.total ? ` of ${progress.total}` : ''} files so far)` : '';
+        const error = new Error(`The index of ${this.name} is still being built${done}; try again shortly or check index_status`);
+        error.code = 'EBUILDING';
+        throw error;
+    }
+
+    async runGlobalUncached(args, options) {
+        try {
+            return await runCommand('global', args, this.commandOptions(options));
+        } catch (error) {
+            if (!(await this.isIndexError(error))) throw this.queryError(error);
+            await this.rebuildGtagsDatabase();
+            return await runCommand('global', args, this.commandOptions(options));
+        }
+    }
+
+    // Whether a failed `global` run means the index must be rebuilt: GTAGS
+    // is missing, or global says it is unusable. A cancelled query, one
+    // stopped for taking too long or a rejected pattern is not.
+    async isIndexError(error) {
+        if (error.name === 'AbortError' || error.code) return false;
+        try {
+            await fs.access(path.join(this.dir, 'GTAGS'));
+        } catch (accessError) {
+            return true;
+        }
+        return INDEX_ERROR_PATTERN.test(error.message);
+    }
+
+    // Anything else that makes `global` fail is a problem with the query,
+    // such as a regular expression GNU regex rejects
+    queryError(error) {
+        if (error.name === 'AbortError' || error.code || !/^Command failed/.test(error.message)) return error;
+        const reason = error.message.replace(/^Command failed with code \d+: /, '').trim().replace(/^global: /, '');
+        return new JsonRpcError(INVALID_PARAMS, `global rejected the query: ${reason || error.message}`);
+    }
+
+    // Brings the whole index up to date: `global -u`, or with a file list
+    // (see writeFileList) an incremental gtags run over the listed files.
+    // Index updates are never killed for taking long.
+    async updateIndex() {
+        await this.resolveParser();
+        const before = await this.indexStamp();
+        const listFile = await this.writeFileList();
+        try {
+            if (!listFile) {
+                await runCommand('global', ['-u'], this.commandOptions({ timeout: 0 }));
+            } else {
+                await runCommand('gtags', ['-i', '-f', listFile], this.commandOptions({ timeout: 0 }));
+            }
+        } finally {
+            if (listFile) await fs.unlink(listFile).catch(() => {});
+            // Periodic updates usually find nothing to do; keep the caches then
+            if (await this.indexStamp() !== before) this.invalidateCaches();
+        }
+    }
+
+    async updateFile(file) {
+        await this.resolveParser();
+        try {
+            // `--single-update` takes the next argument as its value, so a
+            // name starting with `-` is made explicit with `./`
+            await runCommand('global', ['--single-update', `./${file}`], this.commandOptions({ timeout: 0 }));
+        } finally {
+            this.invalidateCaches([file]);
+        }
+    }
+
+    // Modification times and sizes of the tag files, to tell whether an
+    // update changed the index
+    async indexStamp() {
+        const stamps = [];
+        for (const file of ['GTAGS', 'GRTAGS', 'GPATH']) {
+            try {
+                const stat = await fs.stat(path.join(this.dir, file));
+                stamps.push(`${stat.mtimeMs}:${stat.size}`);
+            } catch (error) {
+                stamps.push('-');
+            }
+        }
+        return stamps.join(' ');
+    }
+
+    // Keeps the index up to date by watching the project for changes, or by
+    // polling with `global -u` when watching is disabled or unavailable.
+    startIndexUpdates() {
+        if (this.updateStrategy === 'watch' && this.startWatching()) {
+            return;
+        }
+        this.startPeriodicUpdate();
+    }
+
+    // Stops watching and polling, e.g. when the root is removed
+    stopIndexUpdates() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearInterval(this.updateIntervalTimer);
+        this.updateIntervalTimer = null;
+        clearTimeout(this.updateTimer);
+        this.updateTimer = null;
+        this.pendingFiles.clear();
+    }
+
+    startWatching() {
+        try {
+            this.watcher = watchProject(
+                this.dir,
+                (file) => this.queueFileUpdate(file),
+                (error) => {
+                    this.watcher = null;
+                    process.stderr.write(`File watcher for ${this.dir} failed (${error.message}), falling back to periodic updates every ${this.updateInterval}s\n`);
+                    this.startPeriodicUpdate();
+                },
+                this.ignorePatterns
+            );
+            return true;
+        } catch (error) {
+            process.stderr.write(`File watching unavailable for ${this.dir} (${error.message}), falling back to periodic updates every ${this.updateInterval}s\n`);
+            return false;
+        }
+    }
+
+    queueFileUpdate(file) {
+        // Results that include the file are stale from now on
+        this.invalidateCaches([file]);
+        this.pendingFiles.add(file);
+        this.scheduleFileUpdates();
+    }
+
+    scheduleFileUpdates() {
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => {
+            this.updateTimer = null;
+            this.flushFileUpdates();
+        }, WATCH_DEBOUNCE_MS);
+    }
+
+    // Re-indexes the files changed since the last flush with
+    // `global --single-update`. New or moved directories, and large batches,
+    // get a full update instead. Files of other types than the configured
+    // `fileTypes` are left alone.
+    async flushFileUpdates() {
+        if (this.fileUpdate || this.isRebuilding) {
+            // Try again once the running update or rebuild is done
+            this.scheduleFileUpdates();
+            return;
+        }
+
+        const files = [...this.pendingFiles];
+        this.pendingFiles.clear();
+        this.fileUpdate = (async () => {
+            const fileTypes = this.parserConfig.fileTypes;
+            const updates = [];
+            let fullUpdate = files.length > MAX_SINGLE_UPDATES;
+            for (const file of files) {
+                if (fullUpdate) break;
+                try {
+                    const stat = await fs.stat(path.join(this.dir, file));
+                    if (stat.isDirectory()) {
+                        fullUpdate = true;
+                        continue;
+                    }
+                } catch (error) {
+                    // Deleted files are handled by --single-update as well
+                }
+                if (!fileTypes || hasFileType(file, fileTypes)) updates.push(file);
+            }
+
+            try {
+                if (fullUpdate) {
+                    await this.updateIndex();
+                } else {
+                    for (const file of updates) {
+                        await this.updateFile(file);
+                    }
+                }
+            } catch (error) {
+                // Only a broken index is fixed by rebuilding it; a missing
+                // `global` or a failed run would just fail again
+                if (!(await this.isIndexError(error))) {
+                    process.stderr.write(`Index update error: ${error.message.trim()}\n`);
+                    return;
+                }
+                await this.rebuildGtagsDatabase().catch(err => {
+                    process.stderr.write(`Failed to rebuild gtags database: ${err.message}\n`);
+                });
+            }
+        })();
+
+        try {
+            await this.fileUpdate;
+        } finally {
+            this.fileUpdate = null;
+            if (!this.isIndexUpdatePending()) {
+                const waiters = this.freshnessWaiters;
+                this.freshnessWaiters = [];
+                waiters.forEach(resolve => resolve());
+            }
+        }
+    }
+
+    isIndexUpdatePending() {
+        return this.pendingFiles.size > 0 || this.fileUpdate !== null;
+    }
+
+    // Resolves once no file changes are waiting to be indexed, or after
+    // `timeoutMs` so that a burst of edits can't stall queries indefinitely.
+    waitForFreshIndex(timeoutMs = FRESHNESS_TIMEOUT_MS) {
+        if (!this.isIndexUpdatePending()) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, timeoutMs);
+            this.freshnessWaiters.push(() => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    startPeriodicUpdate() {
+        this.updateIntervalTimer = setInterval(() => {
+            if (this.updateProcess !== null || this.isRebuilding) {
+                return;
+            }
+
+            this.updateProcess = this.updateIndex()
+                .catch(async (error) => {
+                    if (!(await this.isIndexError(error))) {
+                        process.stderr.write(`Periodic update error: ${error.message}\n`);
+                        return;
+                    }
+                    await this.rebuildGtagsDatabase().catch(err => {
+                        process.stderr.write(`Failed to rebuild gtags database: ${err.message}\n`);
+                    });
+                })
+                .finally(() => {
+                    this.updateProcess = null;
+                });
+        }, this.updateInterval * 1000);
+    }
+}
+
+module.exports = GtagsProject;
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GtagsProject = require('./project.js');
+const { INVALID_PARAMS, JsonRpcError } = require('./jsonrpc.js');
+
+test('queries fail while the index is built from scratch', () => {
+    const project = new GtagsProject(os.tmpdir(), { name: 'demo' });
+    assert.doesNotThrow(() => project.checkNotBuilding());
+
+    project.isRebuilding = true;
+    project.buildProgress = { files: 12, total: 40 };
+    assert.throws(() => project.checkNotBuilding(), {
+        code: 'EBUILDING',
+        message: /index of demo is still being built \(12 of 40 files so far\)/
+    });
+});
+
+test('only index problems make a failed query rebuild the index', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-project-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const project = new GtagsProject(dir);
+    const failure = stderr => new Error(`Command failed with code 1: ${stderr}`);
+
+    // No GTAGS at all
+    assert.strictEqual(await project.isIndexError(failure('global: GTAGS not found.\n')), true);
+
+    fs.writeFileSync(path.join(dir, 'GTAGS'), '');
+    assert.strictEqual(await project.isIndexError(failure('global: GTAGS seems corrupted.\n')), true);
+    assert.strictEqual(await project.isIndexError(failure('global: invalid regular expression.\n')), false);
+    const limit = new Error('global did not finish within 60s');
+    limit.code = 'ELIMIT';
+    assert.strictEqual(await project.isIndexError(limit), false);
+    const abort = new Error('aborted');
+    abort.name = 'AbortError';
+    assert.strictEqual(await project.isIndexError(abort), false);
+});
+
+test('other global failures are reported as bad arguments', () => {
+    const project = new GtagsProject(os.tmpdir());
+    const error = project.queryError(new Error('Command failed with code 1: global: invalid regular expression.\n'));
+    assert.ok(error instanceof JsonRpcError);
+    assert.strictEqual(error.code, INVALID_PARAMS);
+    assert.strictEqual(error.message, 'global rejected the query: invalid regular expression.');
+
+    const limit = new Error('global did not finish within 60s');
+    limit.code = 'ELIMIT';
+    assert.strictEqual(project.queryError(limit), limit);
+});
+
+test('scanGlobal hands the output over line by line', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-project-'));
+    const savedPath = process.env.PATH;
+    t.after(() => {
+        process.env.PATH = savedPath;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    // A `global` that splits a line between two writes
+    fs.mkdirSync(path.join(dir, 'bin'));
+    fs.writeFileSync(path.join(dir, 'bin', 'global'),
+        `#!${process.execPath}\nprocess.stdout.write('main 1 a.c int main;\\nhelper 2 a');\nsetTimeout(() => process.stdout.write('.c int helper;\\n'), 50);\n`,
+        { mode: 0o755 });
+    process.env.PATH = `${path.join(dir, 'bin')}${path.delimiter}${savedPath}`;
+
+    const lines = [];
+    await new GtagsProject(dir).scanGlobal(['-x', '--', '.*'], line => lines.push(line));
+    assert.deepStrictEqual(lines, ['main 1 a.c int main;', 'helper 2 a.c int helper;']);
+});
@@ -0,0 +1,80 @@
+// Checks on user input before it reaches `global` or a JavaScript RegExp
+
+// Longest symbol, prefix, pattern or query accepted
+const MAX_ARGUMENT_LENGTH = 1000;
+// Largest {n,m} repetition count; POSIX only guarantees 255 (RE_DUP_MAX)
+const MAX_REPETITION = 255;
+
+// The quantifier starting at pattern[i] as { length, max } (max being the
+// largest number of repetitions), or null if there is none
+function quantifierAt(pattern, i) {
+    const c = pattern[i];
+    if (c === '*' || c === '+') return { length: 1, max: Infinity };
+    if (c === '?') return { length: 1, max: 1 };
+    const match = c === '{' && pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!match) return null;
+    const max = match[2] === undefined ? parseInt(match[1]) : match[3] === '' ? Infinity : parseInt(match[3]);
+    return { length: match[0].length, max: Math.max(max, parseInt(match[1])) };
+}
+
+// Throws if `pattern` (matched by GLOBAL as a POSIX extended regex and here
+// as a JavaScript one) is too long or could take exponential time to match:
+// repetition of a group that repeats itself, like (a+)+, backreferences, or
+// huge repetition counts. `name` is the argument in error messages.
+function checkPattern(pattern, name = 'pattern') {
+    if (pattern.length > MAX_ARGUMENT_LENGTH) {
+        throw new Error(`${name} is too long (${pattern.length} characters, at most ${MAX_ARGUMENT_LENGTH})`);
+    }
+    // For each open group: whether something inside it repeats
+    const groups = [false];
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '\\') {
+            if (/[1-9]/.test(pattern[i + 1] || '')) {
+                throw new Error(`${name} must not use backreferences (\\${pattern[i + 1]})`);
+            }
+            i++;
+        } else if (c === '[') {
+            // Skip the bracket expression; a leading ] is part of it
+            let j = i + 1;
+            if (pattern[j] === '^') j++;
+            if (pattern[j] === ']') j++;
+            while (j < pattern.length && pattern[j] !== ']') {
+                j += pattern[j] === '\\' ? 2 : 1;
+            }
+            i = j;
+        } else if (c === '(') {
+            groups.push(false);
+        } else if (c === ')' && groups.length > 1) {
+            const repeatsInside = groups.pop();
+            const quantifier = quantifierAt(pattern, i + 1);
+            const repeated = quantifier !== null && quantifier.max > 1;
+            if (repeated && repeatsInside) {
+                throw new Error(`${name} repeats a group that itself repeats, like (a+)+, which can take exponential time to match; simplify it`);
+            }
+            if (repeated || repeatsInside) groups[groups.length - 1] = true;
+        } else {
+            const quantifier = quantifierAt(pattern, i);
+            if (!quantifier) continue;
+            if (quantifier.max !== Infinity && quantifier.max > MAX_REPETITION) {
+                throw new Error(`${name} repeats more than ${MAX_REPETITION} times`);
+            }
+            if (quantifier.max > 1) groups[groups.length - 1] = true;
+            i += quantifier.length - 1;
+        }
+    }
+}
+
+// Throws if a string argument contains control characters (other than tab),
+// which no symbol, pattern or path has and which GLOBAL can't match
+function checkArgument(value, name) {
+    if (/[\x00-\x08\x0a-\x1f\x7f]/.test(value)) {
+        throw new Error(`${name} must not contain control characters`);
+    }
+}
+
+module.exports = {
+    MAX_ARGUMENT_LENGTH,
+    checkPattern,
+    checkArgument
+};
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_ARGUMENT_LENGTH, checkArgument, checkPattern } = require('./sanitize.js');
+
+test('checkPattern accepts ordinary regular expressions', () => {
+    for (const pattern of ['^foo', 'a+b*c?', '(ab)+', '(a|b)*', 'x{2,5}', '[)(+*]+', '[]a]+', '\\(a+\\)+', 'a{255}']) {
+        assert.doesNotThrow(() => checkPattern(pattern), pattern);
+    }
+});
+
+test('checkPattern rejects nested repetition', () => {
+    for (const pattern of ['(a+)+', '(a*)*', '((ab)+c)*', '(a{2,})+', '(x(a+))+']) {
+        assert.throws(() => checkPattern(pattern), /repeats a group that itself repeats/, pattern);
+    }
+    // A group repeated at most once is fine
+    assert.doesNotThrow(() => checkPattern('(a+)?'));
+});
+
+test('checkPattern rejects backreferences, huge counts and long patterns', () => {
+    assert.throws(() => checkPattern('(a)\\1'), /backreferences/);
+    assert.throws(() => checkPattern('a{256}'), /more than 255 times/);
+    assert.throws(() => checkPattern('a{1,1000}'), /more than 255 times/);
+    assert.throws(() => checkPattern('a'.repeat(MAX_ARGUMENT_LENGTH + 1), 'query'), /^Error: query is too long/);
+});
+
+test('checkArgument rejects control characters other than tab', () => {
+    assert.doesNotThrow(() => checkArgument('foo\tbar', 'symbol'));
+    assert.throws(() => checkArgument('foo\nbar', 'symbol'), /symbol must not contain control characters/);
+    assert.throws(() => checkArgument('foo\x00', 'symbol'), /control characters/);
+});
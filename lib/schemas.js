@@ -0,0 +1,597 @@
+// Output schemas for the structuredContent returned by each tool
+
+const FORMAT_PROPERTY = {
+    format: {
+        type: "string",
+        enum: ["text", "json", "both"],
+        description: "What to put in the text content: human-readable text (default), the JSON of the structured result, or both. structuredContent is always returned"
+    }
+};
+
+const PROJECT_PROPERTY = {
+    project: {
+        type: "string",
+        description: "Name or root directory of the project to use. Omit to use all projects (tools that work on a single project need it when there are several)"
+    }
+};
+
+const GIT_SCOPE_PROPERTIES = {
+    git_scope: {
+        type: "string",
+        description: "Only return results in files changed in git: 'working' (uncommitted changes, including untracked files), 'staged', or a revision range such as 'main..HEAD'"
+    },
+    changed_lines_only: {
+        type: "boolean",
+        description: "With git_scope, only return results on the changed lines themselves (definitions whose body was changed)"
+    }
+};
+
+// Input of the position-based tools
+const POSITION_PROPERTIES = {
+    file: {
+        type: "string",
+        description: "Path of the file, relative to the project root or absolute (an absolute path also selects the project)"
+    },
+    line: { type: "integer", minimum: 1, description: "1-based line number" },
+    column: { type: "integer", minimum: 1, description: "1-based column of a character of the identifier (or just after it)" }
+};
+
+// How get_definition uses the configured library indexes (GTAGSLIBPATH)
+const LIBRARIES_PROPERTY = {
+    libraries: {
+        type: "string",
+        enum: ["fallback", "all", "none"],
+        description: "Library and system code to search: 'fallback' (only when the project has no definition; default), 'all' (always, global -T) or 'none'"
+    }
+};
+
+// Set on results when a query spans several projects
+const RESULT_PROJECT = { type: "string", description: "Project the result belongs to (only when several projects were searched)" };
+
+const PAGE_PROPERTIES = {
+    total: { type: "integer", description: "Number of results after path filters" },
+    offset: { type: "integer" },
+    truncated: { type: "boolean", description: "Whether more results are available" },
+    nextCursor: { type: ["string", "null"], description: "Cursor for the next page, null on the last page" }
+};
+const PAGE_REQUIRED = ["total", "offset", "truncated", "nextCursor"];
+
+const LOCATION = {
+    type: "object",
+    properties: {
+        file: { type: "string" },
+        line: { type: "integer" }
+    },
+    required: ["file"]
+};
+
+const OUTPUT_SCHEMAS = {
+    get_definition: {
+        type: "object",
+        properties: {
+            symbol: { type: "string" },
+            ...PAGE_PROPERTIES,
+            definitions: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        proximity: { type: "string", enum: ["same-file", "same-directory", "other"], description: "Only when looked up from a position: how close the definition is to it" },
+                        origin: { type: "string", enum: ["project", "library"], description: "Whether the definition is project code or library code, which is not to be edited" },
+                        library: { type: ["string", "null"], description: "Only for library definitions: the configured library they are in" },
+                        symbol: { type: "string" },
+                        file: { type: "string", description: "Project-relative path; absolute for library definitions" },
+                        line: { type: "integer" },
+                        column: { type: ["integer", "null"] },
+                        code: { type: "string" },
+                        path: { type: "string" },
+                        startLine: { type: "integer" },
+                        endLine: { type: "integer" },
+                        extent: { type: "string", enum: ["line", "block", "window"] },
+                        body: { type: "string" }
+                    },
+                    required: ["origin", "symbol", "file", "line", "column", "code", "path"]
+                }
+            }
+        },
+        required: ["symbol", ...PAGE_REQUIRED, "definitions"]
+    },
+    symbol_at_position: {
+        type: "object",
+        properties: {
+            file: { type: "string", description: "Project-relative path" },
+            line: { type: "integer" },
+            column: { type: "integer" },
+            code: { type: "string", description: "The source line" },
+            symbol: { type: ["string", "null"], description: "Identifier at the position, null if there is none" },
+            startColumn: { type: ["integer", "null"], description: "1-based column where the identifier starts" },
+            isDefinition: { type: "boolean", description: "Whether the position is on a definition of the symbol" },
+            enclosing: {
+                type: ["object", "null"],
+                description: "Innermost definition containing the position",
+                properties: {
+                    symbol: { type: "string" },
+                    kind: { type: ["string", "null"] },
+                    line: { type: "integer" },
+                    endLine: { type: "integer" }
+                },
+                required: ["symbol", "kind", "line", "endLine"]
+            },
+            definitions: { type: "integer", description: "Number of definitions of the symbol" },
+            references: { type: "integer", description: "Number of references to the symbol" },
+            likeliestDefinition: {
+                type: ["object", "null"],
+                properties: {
+                    file: { type: "string" },
+                    line: { type: "integer" },
+                    proximity: { type: "string", enum: ["same-file", "same-directory", "other"] }
+                },
+                required: ["file", "line", "proximity"]
+            }
+        },
+        required: ["file", "line", "column", "code", "symbol", "startColumn", "isDefinition", "enclosing", "definitions", "references", "likeliestDefinition"]
+    },
+    get_references: {
+        type: "object",
+        properties: {
+            symbol: { type: "string" },
+            ...PAGE_PROPERTIES,
+            references: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        symbol: { type: "string" },
+                        file: { type: "string" },
+                        line: { type: "integer" },
+                        column: { type: ["integer", "null"] },
+                        code: { type: "string" }
+                    },
+                    required: ["symbol", "file", "line", "column", "code"]
+                }
+            }
+        },
+        required: ["symbol", ...PAGE_REQUIRED, "references"]
+    },
+    list_symbols_with_prefix: {
+        type: "object",
+        properties: {
+            prefix: { type: "string" },
+            ...PAGE_PROPERTIES,
+            symbols: { type: "array", items: { type: "string" } }
+        },
+        required: ["prefix", ...PAGE_REQUIRED, "symbols"]
+    },
+    search_symbols: {
+        type: "object",
+        properties: {
+            query: { type: "string" },
+            match: { type: "string", enum: ["fuzzy", "substring", "regex"] },
+            ...PAGE_PROPERTIES,
+            symbols: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        symbol: { type: "string" },
+                        kind: { type: ["string", "null"] },
+                        file: { type: "string" },
+                        line: { type: "integer" },
+                        code: { type: "string" },
+                        score: { type: ["number", "null"], description: "Match quality, higher is better (null for regex matches)" }
+                    },
+                    required: ["symbol", "kind", "file", "line", "code", "score"]
+                }
+            }
+        },
+        required: ["query", "match", ...PAGE_REQUIRED, "symbols"]
+    },
+    search_pattern: {
+        type: "object",
+        properties: {
+            pattern: { type: "string" },
+            ...PAGE_PROPERTIES,
+            matches: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        file: { type: "string" },
+                        line: { type: "integer" },
+                        column: { type: ["integer", "null"] },
+                        code: { type: "string" },
+                        region: {
+                            type: ["string", "null"],
+                            enum: ["code", "comment", "string", null],
+                            description: "Whether the match is in code, a comment or a string literal; null when unknown"
+                        },
+                        before: { type: "array", items: { type: "string" }, description: "Context lines before the match" },
+                        after: { type: "array", items: { type: "string" }, description: "Context lines after the match" }
+                    },
+                    required: ["file", "line", "column", "code", "region"]
+                }
+            }
+        },
+        required: ["pattern", ...PAGE_REQUIRED, "matches"]
+    },
+    get_call_graph: {
+        type: "object",
+        properties: {
+            symbol: { type: "string" },
+            direction: { type: "string", enum: ["callers", "callees"] },
+            depth: { type: "integer" },
+            ...PAGE_PROPERTIES,
+            root: { $ref: "#/$defs/node" }
+        },
+        required: ["symbol", "direction", "depth", ...PAGE_REQUIRED, "root"],
+        $defs: {
+            node: {
+                type: "object",
+                properties: {
+                    symbol: { type: ["string", "null"], description: "Enclosing function, null for references at file scope" },
+                    locations: { type: "array", items: LOCATION, description: "Definition location(s) of the symbol" },
+                    sites: { type: "array", items: LOCATION, description: "Where the call happens" },
+                    cycle: { type: "boolean" },
+                    seen: { type: "boolean", description: "Already expanded elsewhere in the tree" },
+                    children: { type: "array", items: { $ref: "#/$defs/node" } }
+                },
+                required: ["symbol", "locations", "children"]
+            }
+        }
+    },
+    get_file_dependencies: {
+        type: "object",
+        properties: {
+            file: { type: "string" },
+            direction: { type: "string", enum: ["imports", "importers"] },
+            depth: { type: "integer" },
+            ...PAGE_PROPERTIES,
+            root: { $ref: "#/$defs/node" },
+            dot: { type: "string", description: "Graphviz DOT source of the graph (only when asked for)" }
+        },
+        required: ["file", "direction", "depth", ...PAGE_REQUIRED, "root"],
+        $defs: {
+            node: {
+                type: "object",
+                properties: {
+                    file: { type: ["string", "null"], description: "Project file, null for an external module" },
+                    specifier: { type: "string", description: "The module as written in the import statement" },
+                    line: { type: "integer", description: "Line of the import statement, in the importing file" },
+                    external: { type: "boolean", description: "Resolves to no project file (system header, package)" },
+                    cycle: { type: "boolean" },
+                    seen: { type: "boolean", description: "Already expanded elsewhere in the tree" },
+                    children: { type: "array", items: { $ref: "#/$defs/node" } }
+                },
+                required: ["file", "children"]
+            }
+        }
+    },
+    list_file_symbols: {
+        type: "object",
+        properties: {
+            ...PAGE_PROPERTIES,
+            files: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        file: { type: "string" },
+                        symbols: { type: "array", items: { $ref: "#/$defs/symbol" } }
+                    },
+                    required: ["file", "symbols"]
+                }
+            }
+        },
+        required: [...PAGE_REQUIRED, "files"],
+        $defs: {
+            symbol: {
+                type: "object",
+                properties: {
+                    symbol: { type: "string" },
+                    kind: { type: ["string", "null"] },
+                    line: { type: "integer" },
+                    endLine: { type: ["integer", "null"] },
+                    children: { type: "array", items: { $ref: "#/$defs/symbol" } }
+                },
+                required: ["symbol", "kind", "line", "endLine", "children"]
+            }
+        }
+    },
+    find_files: {
+        type: "object",
+        properties: {
+            query: { type: "string" },
+            match: { type: "string", enum: ["substring", "glob", "fuzzy"] },
+            ...PAGE_PROPERTIES,
+            files: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        file: { type: "string" },
+                        language: { type: ["string", "null"] },
+                        symbols: { type: "integer", description: "Number of definitions in the file" },
+                        score: { type: ["number", "null"], description: "Match quality, higher is better (null for globs)" }
+                    },
+                    required: ["file", "language", "symbols", "score"]
+                }
+            }
+        },
+        required: ["query", "match", ...PAGE_REQUIRED, "files"]
+    },
+    plan_rename: {
+        type: "object",
+        properties: {
+            symbol: { type: "string" },
+            newName: { type: "string" },
+            collisions: {
+                type: "array",
+                description: "Existing definitions of the new name",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        file: { type: "string" },
+                        line: { type: "integer" },
+                        code: { type: "string" }
+                    },
+                    required: ["file", "line", "code"]
+                }
+            },
+            summary: {
+                type: "object",
+                description: "Counts over all files, not just this page",
+                properties: {
+                    files: { type: "integer" },
+                    edits: { type: "integer" },
+                    high: { type: "integer" },
+                    medium: { type: "integer" },
+                    low: { type: "integer" }
+                },
+                required: ["files", "edits", "high", "medium", "low"]
+            },
+            ...PAGE_PROPERTIES,
+            files: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        file: { type: "string" },
+                        edits: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    line: { type: "integer" },
+                                    column: { type: "integer", description: "1-based column of the first character to replace" },
+                                    endColumn: { type: "integer", description: "1-based column just after the last character to replace" },
+                                    oldText: { type: "string" },
+                                    newText: { type: "string" },
+                                    kind: { type: "string", enum: ["definition", "reference", "other-symbol", "text", "comment", "string"] },
+                                    confidence: { type: "string", enum: ["high", "medium", "low"] },
+                                    code: { type: "string", description: "The line before the edit" }
+                                },
+                                required: ["line", "column", "endColumn", "oldText", "newText", "kind", "confidence", "code"]
+                            }
+                        }
+                    },
+                    required: ["file", "edits"]
+                }
+            }
+        },
+        required: ["symbol", "newName", "collisions", "summary", ...PAGE_REQUIRED, "files"]
+    },
+    changed_symbols: {
+        type: "object",
+        properties: {
+            gitScope: { type: "string" },
+            ...PAGE_PROPERTIES,
+            symbols: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        symbol: { type: "string" },
+                        kind: { type: ["string", "null"] },
+                        file: { type: "string" },
+                        line: { type: "integer" },
+                        endLine: { type: "integer" },
+                        change: { type: "string", enum: ["added", "modified"], description: "'added' when every line of the definition is new or changed" },
+                        changedLines: { type: "integer", description: "Changed lines within the definition" }
+                    },
+                    required: ["symbol", "kind", "file", "line", "endLine", "change", "changedLines"]
+                }
+            }
+        },
+        required: ["gitScope", ...PAGE_REQUIRED, "symbols"]
+    },
+    find_unused_symbols: {
+        type: "object",
+        properties: {
+            checked: { type: "integer", description: "Definitions that passed the path, kind and name filters" },
+            skipped: {
+                type: "object",
+                description: "Unreferenced definitions left out by the allowlists",
+                properties: {
+                    entryPoints: { type: "integer" },
+                    exported: { type: "integer" },
+                    tests: { type: "integer" }
+                },
+                required: ["entryPoints", "exported", "tests"]
+            },
+            ...PAGE_PROPERTIES,
+            symbols: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: RESULT_PROJECT,
+                        symbol: { type: "string" },
+                        kind: { type: ["string", "null"] },
+                        file: { type: "string" },
+                        line: { type: "integer" },
+                        code: { type: "string" }
+                    },
+                    required: ["symbol", "kind", "file", "line", "code"]
+                }
+            }
+        },
+        required: ["checked", "skipped", ...PAGE_REQUIRED, "symbols"]
+    },
+    index_status: {
+        type: "object",
+        properties: {
+            projects: { type: "array", items: { $ref: "#/$defs/status" } }
+        },
+        required: ["projects"],
+        $defs: {
+            status: {
+                type: "object",
+                properties: {
+                    project: { type: "string" },
+                    projectDir: { type: "string" },
+                    exists: { type: "boolean", description: "Whether GTAGS exists" },
+                    sizeBytes: { type: "integer", description: "Combined size of GTAGS, GRTAGS and GPATH" },
+                    files: { type: ["integer", "null"], description: "Number of files in GPATH" },
+                    lastUpdated: { type: ["string", "null"], description: "ISO time of the last change to the tag files" },
+                    rebuilding: { type: "boolean" },
+                    buildProgress: {
+                        type: ["object", "null"],
+                        description: "Files indexed so far by the running full build",
+                        properties: {
+                            files: { type: "integer" },
+                            total: { type: ["integer", "null"], description: "Files in the previous index, if known" }
+                        },
+                        required: ["files", "total"]
+                    },
+                    updating: { type: "boolean" },
+                    pendingFiles: { type: "integer", description: "Changed files waiting to be indexed" },
+                    updateStrategy: { type: "string", enum: ["watch", "interval"] },
+                    parser: { type: "string", description: "GTAGSLABEL in use ('default' when none is configured)" },
+                    parserFallback: {
+                        type: ["object", "null"],
+                        description: "Set when the configured parser was unavailable",
+                        properties: {
+                            requested: { type: "string" },
+                            reason: { type: "string" }
+                        }
+                    },
+                    gtagsConf: { type: ["string", "null"] },
+                    fileTypes: { type: ["array", "null"], items: { type: "string" }, description: "Extensions of the indexed files, when restricted" },
+                    lastBuild: {
+                        type: ["object", "null"],
+                        properties: {
+                            startedAt: { type: "string" },
+                            finishedAt: { type: "string" },
+                            durationMs: { type: "integer" },
+                            files: { type: "integer" }
+                        }
+                    },
+                    cache: {
+                        type: "object",
+                        description: "Statistics of the caches of query results and file contents since the server started",
+                        properties: {
+                            queries: { $ref: "#/$defs/cacheStats" },
+                            files: { $ref: "#/$defs/cacheStats" }
+                        },
+                        required: ["queries", "files"]
+                    },
+                    libraries: {
+                        type: "array",
+                        description: "Library directories searched for definitions the project doesn't have",
+                        items: {
+                            type: "object",
+                            properties: {
+                                name: { type: "string" },
+                                dir: { type: "string" },
+                                indexDir: { type: ["string", "null"], description: "Where its tag files are, null until it is indexed" },
+                                error: { type: ["string", "null"], description: "Why indexing it failed" }
+                            },
+                            required: ["name", "dir", "indexDir", "error"]
+                        }
+                    },
+                    error: { type: "string" }
+                },
+                required: ["project", "projectDir", "exists", "sizeBytes", "files", "lastUpdated", "rebuilding", "buildProgress", "updating", "pendingFiles", "updateStrategy", "parser", "parserFallback", "gtagsConf", "fileTypes", "lastBuild", "cache", "libraries"]
+            },
+            cacheStats: {
+                type: "object",
+                properties: {
+                    entries: { type: "integer" },
+                    size: { type: "integer", description: "Characters held" },
+                    hits: { type: "integer" },
+                    misses: { type: "integer" },
+                    coalesced: { type: "integer", description: "Lookups that waited for the same query already running" }
+                },
+                required: ["entries", "size", "hits", "misses", "coalesced"]
+            }
+        }
+    },
+    diagnose: {
+        type: "object",
+        properties: {
+            status: { type: "string", enum: ["ok", "warning", "error"], description: "Worst status of all checks" },
+            checks: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        project: { type: "string", description: "Project the check concerns, if any" },
+                        check: { type: "string", description: "What was checked: global, gtags, directory, index or parser" },
+                        status: { type: "string", enum: ["ok", "warning", "error"] },
+                        message: { type: "string" },
+                        fix: { type: "string", description: "How to resolve the problem" }
+                    },
+                    required: ["check", "status", "message"]
+                }
+            }
+        },
+        required: ["status", "checks"]
+    },
+    reindex: {
+        type: "object",
+        properties: {
+            mode: { type: "string", enum: ["full", "paths"] },
+            projects: { type: "array", items: { type: "string" }, description: "Projects that were re-indexed" },
+            files: { type: "array", items: { type: "string" } },
+            durationMs: { type: "integer" }
+        },
+        required: ["mode", "projects", "files", "durationMs"]
+    }
+};
+
+// definition_at_position returns get_definition's result for the identifier
+// at the position, likeliest definition first
+OUTPUT_SCHEMAS.definition_at_position = {
+    ...OUTPUT_SCHEMAS.get_definition,
+    properties: {
+        ...OUTPUT_SCHEMAS.get_definition.properties,
+        position: {
+            type: "object",
+            properties: {
+                file: { type: "string" },
+                line: { type: "integer" },
+                column: { type: "integer" },
+                startColumn: { type: "integer" }
+            },
+            required: ["file", "line", "column", "startColumn"]
+        }
+    },
+    required: [...OUTPUT_SCHEMAS.get_definition.required, "position"]
+};
+
+module.exports = {
+    FORMAT_PROPERTY,
+    PROJECT_PROPERTY,
+    GIT_SCOPE_PROPERTIES,
+    POSITION_PROPERTIES,
+    LIBRARIES_PROPERTY,
+    OUTPUT_SCHEMAS
+};
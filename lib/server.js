@@ -1,98 +1,397 @@
-const { spawn } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
-
-const MCP_VERSION = "2024-11-05";
+const { fileURLToPath, pathToFileURL } = require('url');
+const { requestContext } = require('./command.js');
+const { loadProjectConfig } = require('./config.js');
+const { runDiagnostics } = require('./diagnose.js');
+const { DEFINITION_KINDS, buildOutline, classifyFileLines, detectLanguage, findDefinitionExtent, formatNumberedLines, guessDefinitionKind, looksExported } = require('./extent.js');
+const { buildFileIndex, extractImports, importedName, resolveImport } = require('./dependencies.js');
+const { fuzzyPathScore, fuzzySymbolScore } = require('./fuzzy.js');
+const { parseGitScope, getChangedLines, countChangedLines } = require('./git.js');
+const { globToRegExp, hasGlobChars, matchesGlob } = require('./glob.js');
+const { LibraryIndex, isInside } = require('./library.js');
+const { PAGING_PROPERTIES, MAX_RESULT_LIMIT, relevanceRank, parsePagingOptions, matchesPathFilters, paginate, pageMetadata, formatPageFooter } = require('./paging.js');
+const { MAX_ARGUMENT_LENGTH, checkArgument, checkPattern } = require('./sanitize.js');
+const { OUTPUT_SCHEMAS, FORMAT_PROPERTY, PROJECT_PROPERTY, GIT_SCOPE_PROPERTIES, POSITION_PROPERTIES, LIBRARIES_PROPERTY } = require('./schemas.js');
+const GtagsProject = require('./project.js');
+const StdioTransport = require('./transport-stdio.js');
+const {
+    INVALID_REQUEST, METHOD_NOT_FOUND, INVALID_PARAMS, INTERNAL_ERROR, RESOURCE_NOT_FOUND, JsonRpcError
+} = require('./jsonrpc.js');
+
+const MCP_VERSION = "2025-06-18";
+// Older protocol versions we still speak. Clients on these ignore
+// outputSchema/structuredContent and just read the text content.
+const SUPPORTED_MCP_VERSIONS = [MCP_VERSION, "2025-03-26", "2024-11-05"];
+// Lines shown after a definition when its full extent cannot be worked out
+const FALLBACK_WINDOW_LINES = 20;
+const DEFAULT_CALL_GRAPH_DEPTH = 2;
+const MAX_CALL_GRAPH_DEPTH = 6;
+// Upper bound on nodes in one call graph so a hub function can't explode the output
+const MAX_CALL_GRAPH_NODES = 300;
+// Files outlined by one list_file_symbols call unless a limit is given
+const DEFAULT_OUTLINE_FILES = 50;
+// Upper bound on the context lines around each search_pattern match
+const MAX_PATTERN_CONTEXT_LINES = 50;
+// Best-scoring names whose definitions a fuzzy search_symbols looks up
+const MAX_FUZZY_SYMBOLS = 200;
+// How close a definition is to the position it was looked up from, closest first
+const PROXIMITY_RANKS = ['same-file', 'same-directory', 'other'];
+// What plan_rename accepts as a symbol and new name
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+// Names find_unused_symbols treats as used by default: program entry points
+// and methods the language runtime calls (__init__, __str__, ...)
+const DEFAULT_ENTRY_POINTS = ['main', 'wmain', 'WinMain', 'DllMain', 'init', '__*__'];
+// Syslog severities used by MCP logging, least severe first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+// Largest text one resources/read returns; bigger files are read by line range
+const MAX_RESOURCE_BYTES = 1024 * 1024;
+// How long to wait for the client to answer a request we sent it (roots/list)
+const CLIENT_REQUEST_TIMEOUT_MS = 10000;
+
+// Escapes regex metacharacters; the result is valid both as a JavaScript
+// and as a POSIX extended regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 class GtagsMCPServer {
-    constructor(projectDir, updateInterval = 15) {
-        this.projectDir = projectDir;
+    // `projectDirs` is one directory or a list of them. Without any, the
+    // projects are the roots the client reports through roots/list.
+    // `options.config` is a loaded config file (see loadConfigFile), whose
+    // `parser` and `ignore` settings are defaults for every project.
+    // `options.parser` holds parser settings from the command line; they
+    // take precedence over each project's .gtags-mcp.json.
+    // `options.libraries` lists the library directories of every project,
+    // to which a project's .gtags-mcp.json can add its own.
+    constructor(projectDirs, updateInterval = 15, options = {}) {
+        const dirs = [].concat(projectDirs || []);
+        this.config = options.config || {};
         this.updateInterval = updateInterval;
-        this.updateProcess = null;
-        this.isRebuilding = false;
-        this.setupStdioHandlers();
-        this.startPeriodicUpdate();
-    }
-
-    setupStdioHandlers() {
-        process.stdin.setEncoding('utf8');
-        process.stdin.on('data', (data) => {
-            const lines = data.trim().split('\n');
-            lines.forEach((line) => {
-                if (line.trim()) {
-                    try {
-                        this.handleMessage(JSON.parse(line));
-                    } catch (error) {
-                        this.sendError({
-                            jsonrpc: "2.0",
-                            id: null,
-                            error: {
-                                code: -32700,
-                                message: "Parse error"
-                            }
-                        });
-                    }
-                }
-            });
+        this.updateStrategy = options.updateStrategy || 'watch';
+        this.parserConfig = options.parser || {};
+        this.resultLimits = this.config.limits || {};
+        this.enabledTools = null;
+        if (this.config.tools) {
+            const known = this.listTools().tools.map(tool => tool.name);
+            const unknown = this.config.tools.filter(name => !known.includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`${this.config.file}: unknown tool(s) in tools: ${unknown.join(', ')} (available: ${known.join(', ')})`);
+            }
+            this.enabledTools = this.config.tools;
+        }
+        // Library directories every project searches, and the indexes of
+        // all libraries by directory (shared by the projects using them)
+        this.libraryDirs = options.libraries || [];
+        this.libraries = new Map();
+        this.projects = new Map();
+        this.useClientRoots = dirs.length === 0;
+        this.rootsRefresh = null;
+        for (const dir of dirs) {
+            this.addProject(dir);
+        }
+        this.transport = options.transport || new StdioTransport();
+    }
+
+    // Registers a project under its directory name, made unique with a suffix
+    addProject(dir) {
+        const base = path.basename(path.resolve(dir)) || 'root';
+        let name = base;
+        for (let n = 2; this.projects.has(name); n++) {
+            name = `${base}-${n}`;
+        }
+        const projectConfig = loadProjectConfig(path.resolve(dir));
+        const project = new GtagsProject(dir, {
+            name,
+            updateInterval: this.updateInterval,
+            updateStrategy: this.updateStrategy,
+            parser: { ...this.config.parser, ...projectConfig.parser, ...this.parserConfig },
+            ignore: [...new Set([...(this.config.ignore || []), ...(projectConfig.ignore || [])])],
+            libraries: [...new Set([...this.libraryDirs, ...(projectConfig.libraries || [])].map(libraryDir => this.libraryFor(libraryDir)))],
+            reporter: this
         });
+        this.projects.set(name, project);
+        return project;
+    }
+
+    // The index of a library directory, registered under a unique name
+    libraryFor(dir) {
+        const resolved = path.resolve(dir);
+        if (!this.libraries.has(resolved)) {
+            const names = new Set([...this.libraries.values()].map(library => library.name));
+            const base = path.basename(resolved) || 'root';
+            let name = base;
+            for (let n = 2; names.has(name); n++) {
+                name = `${base}-${n}`;
+            }
+            this.libraries.set(resolved, new LibraryIndex(resolved, { name, reporter: this }));
+        }
+        return this.libraries.get(resolved);
+    }
+
+    removeProject(project) {
+        project.stopIndexUpdates();
+        this.projects.delete(project.name);
+    }
+
+    // Per-client state. Each transport session (one for stdio, one per HTTP
+    // client) has its own log level and in-flight requests.
+    sessionState(session) {
+        if (!session.state.inFlightRequests) {
+            Object.assign(session.state, {
+                logLevel: 'info',
+                inFlightRequests: new Map(),
+                clientInitialized: false,
+                clientCapabilities: {},
+                roots: [],
+                pendingClientRequests: new Map(),
+                nextClientRequestId: 0
+            });
+        }
+        return session.state;
     }
 
-    async handleMessage(message) {
-        const { jsonrpc, id, method, params } = message;
+    // Handles one incoming message; replies go out through `channel.send`
+    async handleMessage(message, channel) {
+        if (!message || typeof message !== 'object' || Array.isArray(message) ||
+            message.jsonrpc !== "2.0" || (message.method !== undefined && typeof message.method !== 'string')) {
+            this.sendError(channel, {
+                jsonrpc: "2.0",
+                id: message && message.id !== undefined ? message.id : null,
+                error: {
+                    code: INVALID_REQUEST,
+                    message: "Invalid Request"
+                }
+            });
+            return;
+        }
+
+        const { id, method, params } = message;
+        const state = this.sessionState(channel.session);
+        if (method === undefined) {
+            this.handleClientResponse(message, state);
+            return;
+        }
+        if (id === undefined || id === null) {
+            this.handleNotification(method, params || {}, channel.session);
+            return;
+        }
+
+        const progressToken = params && params._meta ? params._meta.progressToken : undefined;
+        const controller = new AbortController();
+        state.inFlightRequests.set(id, controller);
         
         try {
-            let result;
-            
-            switch (method) {
-                case 'initialize':
-                    result = await this.initialize();
-                    break;
-                case 'tools/list':
-                    result = this.listTools();
-                    break;
-                case 'tools/call':
-                    result = await this.callTool(params);
-                    break;
-                case 'prompts/list':
-                    result = this.listPrompts();
-                    break;
-                case 'prompts/get':
-                    result = await this.getPrompt(params);
-                    break;
-                default:
-                    throw new Error(`Unknown method: ${method}`);
+            const result = await requestContext.run(
+                { id, signal: controller.signal, channel },
+                () => this.dispatchRequest(method, params || {}, progressToken)
+            );
+            // Cancelled requests get no response at all
+            if (!controller.signal.aborted) {
+                this.sendResponse(channel, { jsonrpc: "2.0", id, result });
             }
-            
-            this.sendResponse({ jsonrpc, id, result });
         } catch (error) {
-            this.sendError({ 
-                jsonrpc, 
+            if (controller.signal.aborted) return;
+            this.sendError(channel, { 
+                jsonrpc: "2.0", 
                 id, 
                 error: {
-                    code: -32603,
+                    code: error instanceof JsonRpcError ? error.code : INTERNAL_ERROR,
                     message: error.message
                 }
             });
+        } finally {
+            state.inFlightRequests.delete(id);
+        }
+    }
+
+    async dispatchRequest(method, params, progressToken) {
+        switch (method) {
+            case 'initialize':
+                return await this.initialize(params);
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return this.listTools();
+            case 'tools/call':
+                return await this.callTool(params, progressToken);
+            case 'logging/setLevel':
+                return this.setLogLevel(params, requestContext.getStore().channel.session);
+            case 'prompts/list':
+                return this.listPrompts();
+            case 'prompts/get':
+                return await this.getPrompt(params);
+            case 'resources/list':
+                return await this.listResources(params);
+            case 'resources/templates/list':
+                return this.listResourceTemplates();
+            case 'resources/read':
+                return await this.readResource(params);
+            default:
+                throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    handleNotification(method, params, session) {
+        const state = this.sessionState(session);
+        switch (method) {
+            case 'notifications/initialized':
+                state.clientInitialized = true;
+                if (this.useClientRoots && state.clientCapabilities.roots) {
+                    this.refreshRoots(session);
+                }
+                break;
+            case 'notifications/roots/list_changed':
+                if (this.useClientRoots) {
+                    this.refreshRoots(session);
+                }
+                break;
+            case 'notifications/cancelled': {
+                // Aborting the signal kills any `global` child the request is running
+                const controller = state.inFlightRequests.get(params.requestId);
+                if (controller) {
+                    controller.abort(params.reason);
+                }
+                break;
+            }
+            default:
+                // Unknown notifications are ignored, as the spec requires
+                break;
+        }
+    }
+
+    // Called by the transport when a client goes away
+    closeSession(session) {
+        const state = this.sessionState(session);
+        for (const controller of state.inFlightRequests.values()) {
+            controller.abort('session closed');
+        }
+        state.inFlightRequests.clear();
+        for (const pending of state.pendingClientRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('session closed'));
+        }
+        state.pendingClientRequests.clear();
+        if (this.useClientRoots && state.roots.length > 0) {
+            state.roots = [];
+            this.syncClientRoots();
+        }
+    }
+
+    // Sends a request to the client. The response comes back through
+    // handleMessage and is matched up in handleClientResponse.
+    requestClient(session, method, params) {
+        const state = this.sessionState(session);
+        const id = `gtags-mcp-${++state.nextClientRequestId}`;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                state.pendingClientRequests.delete(id);
+                reject(new Error(`No response to ${method}`));
+            }, CLIENT_REQUEST_TIMEOUT_MS);
+            state.pendingClientRequests.set(id, { resolve, reject, timer });
+            session.notify({ jsonrpc: "2.0", id, method, params });
+        });
+    }
+
+    handleClientResponse(message, state) {
+        const pending = state.pendingClientRequests.get(message.id);
+        if (!pending) return;
+        state.pendingClientRequests.delete(message.id);
+        clearTimeout(pending.timer);
+        if (message.error) {
+            pending.reject(new Error(message.error.message || 'Request failed'));
+        } else {
+            pending.resolve(message.result || {});
+        }
+    }
+
+    // Asks the client for its roots and updates the projects to match.
+    // Tool calls wait for the refresh so they don't run against stale roots.
+    refreshRoots(session) {
+        const state = this.sessionState(session);
+        this.rootsRefresh = (async () => {
+            try {
+                const result = await this.requestClient(session, 'roots/list', {});
+                state.roots = (Array.isArray(result.roots) ? result.roots : [])
+                    .filter(root => root && typeof root.uri === 'string' && root.uri.startsWith('file://'))
+                    .map(root => path.resolve(fileURLToPath(root.uri)));
+            } catch (error) {
+                this.log('warning', `Could not get roots from the client: ${error.message}`);
+            }
+            await this.syncClientRoots();
+        })();
+        return this.rootsRefresh;
+    }
+
+    // Makes the projects the union of the roots of all connected clients.
+    // New roots are indexed in the background.
+    async syncClientRoots() {
+        const wanted = new Set();
+        for (const session of this.transport.sessions) {
+            this.sessionState(session).roots.forEach(dir => wanted.add(dir));
+        }
+
+        for (const project of [...this.projects.values()]) {
+            if (!wanted.has(project.dir)) {
+                this.removeProject(project);
+            }
+        }
+        const known = new Set([...this.projects.values()].map(project => project.dir));
+        for (const dir of wanted) {
+            if (known.has(dir)) continue;
+            try {
+                if (!(await fs.stat(dir)).isDirectory()) continue;
+            } catch (error) {
+                continue;
+            }
+            let project;
+            try {
+                project = this.addProject(dir);
+            } catch (error) {
+                this.log('error', `Not indexing ${dir}: ${error.message}`);
+                continue;
+            }
+            project.startIndexUpdates();
+            this.buildIndexInBackground(project);
         }
     }
 
-    async initialize() {
-        // Initialize gtags if needed
-        await this.ensureGtagsDatabase();
+    // Builds the index of a project that has none without holding up the
+    // caller. A project that can't be indexed (e.g. GNU GLOBAL is missing)
+    // must not keep clients from connecting; its tools report the problem
+    // and diagnose explains it.
+    buildIndexInBackground(project) {
+        project.ensureGtagsDatabase().catch((error) => {
+            this.log('error', `Failed to index ${project.dir}: ${error.message}. Run the diagnose tool for details.`);
+        });
+    }
+
+    async initialize(params = {}) {
+        const { channel } = requestContext.getStore();
+        this.sessionState(channel.session).clientCapabilities = (params && params.capabilities) || {};
+
+        const requested = params && params.protocolVersion;
         
         return {
-            protocolVersion: MCP_VERSION,
+            protocolVersion: SUPPORTED_MCP_VERSIONS.includes(requested) ? requested : MCP_VERSION,
             capabilities: {
                 tools: {
                     listChanged: false
                 },
                 prompts: {
                     listChanged: false
-                }
+                },
+                resources: {
+                    subscribe: false,
+                    listChanged: false
+                },
+                logging: {}
             },
             serverInfo: {
                 name: "gtags-mcp",
-                version: "0.0.9"
+                version: "0.0.9",
+                // The GTAGSLABEL each project is indexed with
+                parsers: Object.fromEntries([...this.projects.values()].map(project => [project.name, project.parser]))
             },
             "instructions": `
 You are a professional coding agent concerned with one particular codebase. You have access to a \`gtags-mcp\` tool suite on which you rely heavily for all your work. You operate in a frugal and intelligent manner, always keeping in mind to not analyze or generate content that is not needed for the task at hand.
@@ -315,6 +614,7 @@ Start by exploring the main entry points and work your way through the codebase
 - Use get_references with symbol "${targetSymbol}"
 - Identify ALL places where this symbol is used
 - Categorize usage patterns (direct calls, parameter passing, assignments, etc.)
+- If the refactoring renames it, use plan_rename with symbol "${targetSymbol}" and the new name to get every edit with its confidence and any collision with an existing definition (it only previews; apply the edits yourself, checking the low-confidence ones)
 
 ### 3. Find Related Code
 - Use list_symbols_with_prefix to find related functions/variables
@@ -345,8 +645,175 @@ Please execute this analysis systematically and provide a comprehensive refactor
                 };
 
             default:
-                throw new Error(`Unknown prompt: ${name}`);
+                throw new JsonRpcError(INVALID_PARAMS, `Unknown prompt: ${name}`);
+        }
+    }
+
+    // Every indexed file (GPATH) as a file:// resource, paged with the same
+    // cursors as the tools
+    async listResources(params = {}) {
+        let paging;
+        try {
+            paging = parsePagingOptions({ cursor: params.cursor, limit: MAX_RESULT_LIMIT });
+        } catch (error) {
+            throw new JsonRpcError(INVALID_PARAMS, error.message);
+        }
+        const projects = await this.resolveProjects();
+
+        const files = [];
+        for (const project of projects) {
+            const output = await project.runGlobalWithRecovery(['-P']);
+            for (const line of output.trim().split('\n')) {
+                const file = line.trim().replace(/^\.\//, '');
+                if (file) files.push({ project, file });
+            }
+        }
+        const page = paginate(files, paging);
+
+        const result = {
+            resources: page.items.map(({ project, file }) => ({
+                uri: pathToFileURL(path.join(project.dir, file)).href,
+                name: projects.length > 1 ? `${project.name}/${file}` : file,
+                mimeType: "text/plain"
+            }))
+        };
+        if (page.nextCursor) {
+            result.nextCursor = page.nextCursor;
+        }
+        return result;
+    }
+
+    listResourceTemplates() {
+        return {
+            resourceTemplates: [
+                {
+                    uriTemplate: "gtags://definition/{symbol}",
+                    name: "Symbol definition",
+                    description: "The full definition(s) of a symbol, as returned by get_definition with include_body",
+                    mimeType: "text/plain"
+                },
+                {
+                    uriTemplate: "gtags://references/{symbol}",
+                    name: "Symbol references",
+                    description: "Every reference to a symbol, one per line",
+                    mimeType: "text/plain"
+                },
+                {
+                    uriTemplate: "file://{+path}#L{start}-L{end}",
+                    name: "Source lines",
+                    description: "Lines start to end (1-based, inclusive) of a project file. Use #L{line} for a single line",
+                    mimeType: "text/plain"
+                }
+            ]
+        };
+    }
+
+    async readResource(params = {}) {
+        const uri = params.uri;
+        if (typeof uri !== 'string' || uri === '') {
+            throw new JsonRpcError(INVALID_PARAMS, 'uri is required');
+        }
+
+        const symbolMatch = uri.match(/^gtags:\/\/(definition|references)\/(.+)$/);
+        if (symbolMatch) {
+            // The same checks as the `symbol` argument of the tools
+            let symbol;
+            try {
+                symbol = decodeURIComponent(symbolMatch[2]);
+                if (symbol.length > MAX_ARGUMENT_LENGTH) {
+                    throw new Error(`Symbol is too long (at most ${MAX_ARGUMENT_LENGTH} characters)`);
+                }
+                checkArgument(symbol, 'Symbol');
+            } catch (error) {
+                throw new JsonRpcError(INVALID_PARAMS, `Invalid resource ${symbolMatch[1]} URI: ${error.message}`);
+            }
+            const projects = await this.resolveProjects();
+            const result = symbolMatch[1] === 'definition'
+                ? await this.getDefinition(projects, symbol, { includeBody: true, paging: parsePagingOptions({ limit: MAX_RESULT_LIMIT }) })
+                : await this.getReferences(projects, symbol, { paging: parsePagingOptions({ limit: MAX_RESULT_LIMIT }) });
+            if (result.isError) {
+                throw new Error(result.content[0].text);
+            }
+            return { contents: [{ uri, mimeType: "text/plain", text: result.content[0].text }] };
+        }
+
+        if (!uri.startsWith('file://')) {
+            throw new JsonRpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+        }
+        const hashIndex = uri.indexOf('#');
+        const fileUri = hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+        const range = this.parseLineRange(hashIndex === -1 ? '' : uri.slice(hashIndex + 1));
+
+        let file;
+        try {
+            file = fileURLToPath(fileUri);
+        } catch (error) {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid file URI: ${uri}`);
+        }
+        const realFile = await this.resolveProjectFile(file);
+        if (!realFile) {
+            throw new JsonRpcError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+        }
+
+        const tooLarge = size => new JsonRpcError(INVALID_PARAMS,
+            `${range ? 'The requested lines are' : `${path.basename(realFile)} is`} ${size} bytes, more than the ${MAX_RESOURCE_BYTES} a resource read returns; ` +
+            'request fewer lines with #L<start>-L<end>');
+        const { size } = await fs.stat(realFile);
+        if (!range && size > MAX_RESOURCE_BYTES) {
+            throw tooLarge(size);
+        }
+        let text = await fs.readFile(realFile, 'utf8');
+        if (range) {
+            text = text.split('\n').slice(range.start - 1, range.end).join('\n');
+            if (Buffer.byteLength(text) > MAX_RESOURCE_BYTES) {
+                throw tooLarge(Buffer.byteLength(text));
+            }
+        }
+        return { contents: [{ uri, mimeType: "text/plain", text }] };
+    }
+
+    // Parses a `L10`, `L10-L20` or `L10-20` fragment; an empty one means the
+    // whole file
+    parseLineRange(fragment) {
+        if (!fragment) return null;
+        const match = fragment.match(/^L(\d+)(?:-L?(\d+))?$/);
+        if (!match) {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid line range: #${fragment} (expected #L<start> or #L<start>-L<end>)`);
+        }
+        const start = parseInt(match[1]);
+        const end = match[2] === undefined ? start : parseInt(match[2]);
+        if (start < 1 || end < start) {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid line range: #${fragment}`);
+        }
+        return { start, end };
+    }
+
+    // Resolves symlinks and returns the file's real path if it is a file in
+    // the index of one of the projects, otherwise null. Files GLOBAL doesn't
+    // index, such as .git/config or .env, are never served.
+    async resolveProjectFile(file) {
+        let realFile;
+        try {
+            realFile = await fs.realpath(file);
+            if (!(await fs.stat(realFile)).isFile()) return null;
+        } catch (error) {
+            return null;
         }
+        for (const project of await this.resolveProjects()) {
+            let root;
+            try {
+                root = await fs.realpath(project.dir);
+            } catch (error) {
+                continue;
+            }
+            if (!isInside(root, realFile)) continue;
+            const relative = path.relative(root, realFile).split(path.sep).join('/');
+            const output = await project.runGlobalWithRecovery(['-P']);
+            if (output.split('\n').some(line => line.trim().replace(/^\.\//, '') === relative)) {
+                return realFile;
+            }
+        }
+        return null;
     }
 
     listTools() {
@@ -354,17 +821,33 @@ Please execute this analysis systematically and provide a comprehensive refactor
             tools: [
                 {
                     name: "get_definition",
-                    description: "Retrieves the exact definition (file, line number, and source code) of a symbol using GNU GLOBAL",
+                    description: "Retrieves the exact definition (file, line number, and source code) of a symbol using GNU GLOBAL. With libraries configured, definitions in library or system code (marked origin 'library', not to be edited) are found too",
                     inputSchema: {
                         type: "object",
                         properties: {
                             symbol: {
                                 type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
                                 description: "The exact name of the symbol (function, variable, class, etc.) to find the definition of"
-                            }
+                            },
+                            include_body: {
+                                type: "boolean",
+                                description: "Return the full definition (function body, class block, etc.) instead of only its first line"
+                            },
+                            context_lines: {
+                                type: "integer",
+                                minimum: 0,
+                                description: "Number of extra lines to show before and after the definition"
+                            },
+                            ...LIBRARIES_PROPERTY,
+                            ...GIT_SCOPE_PROPERTIES,
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
                         },
                         required: ["symbol"]
-                    }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.get_definition
                 },
                 {
                     name: "get_references",
@@ -374,11 +857,56 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         properties: {
                             symbol: {
                                 type: "string", 
+                                maxLength: MAX_ARGUMENT_LENGTH,
                                 description: "The name of the symbol whose references/usages to find"
-                            }
+                            },
+                            ...GIT_SCOPE_PROPERTIES,
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
                         },
                         required: ["symbol"]
-                    }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.get_references
+                },
+                {
+                    name: "symbol_at_position",
+                    description: "Identifies the symbol at a file:line:column, e.g. from an error message or stack trace: the identifier there, the definition enclosing the position, and how many definitions and references the identifier has",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...POSITION_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["file", "line", "column"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.symbol_at_position
+                },
+                {
+                    name: "definition_at_position",
+                    description: "Goes to the definition of the identifier at a file:line:column. Returns the same as get_definition, with the likeliest definition first when there are several (same file, then same directory)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...POSITION_PROPERTIES,
+                            include_body: {
+                                type: "boolean",
+                                description: "Return the full definition (function body, class block, etc.) instead of only its first line"
+                            },
+                            context_lines: {
+                                type: "integer",
+                                minimum: 0,
+                                description: "Number of extra lines to show before and after the definition"
+                            },
+                            ...LIBRARIES_PROPERTY,
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["file", "line", "column"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.definition_at_position
                 },
                 {
                     name: "list_symbols_with_prefix",
@@ -388,11 +916,49 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         properties: {
                             prefix: {
                                 type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
                                 description: "The prefix string to search for. Returns all symbols starting with this prefix"
-                            }
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
                         },
                         required: ["prefix"]
-                    }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.list_symbols_with_prefix
+                },
+                {
+                    name: "search_symbols",
+                    description: "Searches symbol definitions by name: case-insensitive substring, regular expression, or fuzzy matching that understands camelCase and snake_case (\"pagebuffer\" finds BufferPoolPage). Each hit includes its kind and definition location",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            query: {
+                                type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
+                                description: "Text, regular expression or abbreviation to look for in symbol names"
+                            },
+                            match: {
+                                type: "string",
+                                enum: ["fuzzy", "substring", "regex"],
+                                description: "How to match symbol names. Default: fuzzy"
+                            },
+                            ignore_case: {
+                                type: "boolean",
+                                description: "Ignore case for substring and regex matching (default: true; fuzzy matching always ignores case)"
+                            },
+                            kind: {
+                                type: "array",
+                                items: { type: "string", enum: DEFINITION_KINDS },
+                                description: "Only return definitions of these kinds (guessed from the definition line)"
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["query"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.search_symbols
                 },
                 {
                     name: "search_pattern",
@@ -402,80 +968,775 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         properties: {
                             pattern: {
                                 type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
                                 description: "The pattern/regex to search for in the source code"
-                            }
+                            },
+                            context_lines: {
+                                type: "integer",
+                                minimum: 0,
+                                maximum: MAX_PATTERN_CONTEXT_LINES,
+                                description: "Number of lines to show before and after each match"
+                            },
+                            before_lines: {
+                                type: "integer",
+                                minimum: 0,
+                                maximum: MAX_PATTERN_CONTEXT_LINES,
+                                description: "Lines to show before each match (overrides context_lines)"
+                            },
+                            after_lines: {
+                                type: "integer",
+                                minimum: 0,
+                                maximum: MAX_PATTERN_CONTEXT_LINES,
+                                description: "Lines to show after each match (overrides context_lines)"
+                            },
+                            ignore_case: {
+                                type: "boolean",
+                                description: "Match case-insensitively"
+                            },
+                            fixed_string: {
+                                type: "boolean",
+                                description: "Treat the pattern as literal text instead of a regular expression"
+                            },
+                            whole_word: {
+                                type: "boolean",
+                                description: "Only match the pattern as a whole word"
+                            },
+                            scope: {
+                                type: "string",
+                                description: "Only search files under this project-relative directory"
+                            },
+                            ...GIT_SCOPE_PROPERTIES,
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
                         },
                         required: ["pattern"]
-                    }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.search_pattern
+                },
+                {
+                    name: "get_call_graph",
+                    description: "Builds a call graph for a function: who calls it (callers) or what it calls (callees), several levels deep",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            symbol: {
+                                type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
+                                description: "The name of the function to start from"
+                            },
+                            direction: {
+                                type: "string",
+                                enum: ["callers", "callees"],
+                                description: "Follow callers (who calls the symbol) or callees (what the symbol calls). Default: callers"
+                            },
+                            depth: {
+                                type: "integer",
+                                minimum: 1,
+                                maximum: MAX_CALL_GRAPH_DEPTH,
+                                description: `Number of levels to follow (default: ${DEFAULT_CALL_GRAPH_DEPTH})`
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["symbol"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.get_call_graph
+                },
+                {
+                    name: "get_file_dependencies",
+                    description: "Builds a file dependency graph from #include, import, require and use statements: what a file pulls in (imports) or which files depend on it (importers), several levels deep, as a tree or Graphviz DOT",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            file: {
+                                type: "string",
+                                description: "Path of the file to start from, relative to the project root or absolute (an absolute path also selects the project)"
+                            },
+                            direction: {
+                                type: "string",
+                                enum: ["imports", "importers"],
+                                description: "Follow what the file imports or the files importing it. Default: imports"
+                            },
+                            depth: {
+                                type: "integer",
+                                minimum: 1,
+                                maximum: MAX_CALL_GRAPH_DEPTH,
+                                description: `Number of levels to follow (default: ${DEFAULT_CALL_GRAPH_DEPTH})`
+                            },
+                            include_external: {
+                                type: "boolean",
+                                description: "List imports that don't resolve to a project file (system headers, packages) as leaves (default: true)"
+                            },
+                            dot: {
+                                type: "boolean",
+                                description: "Return the graph as Graphviz DOT source instead of an indented tree (default: false)"
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["file"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.get_file_dependencies
+                },
+                {
+                    name: "list_file_symbols",
+                    description: "Outlines the symbols defined in one or more files, in source order with line ranges, kinds and nesting (e.g. methods under classes)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            files: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: `Project-relative file paths, directories or globs (e.g. "src/storage/**/*.go"). Paged by file, ${DEFAULT_OUTLINE_FILES} files at a time by default`
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["files"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.list_file_symbols
+                },
+                {
+                    name: "find_files",
+                    description: "Finds indexed files by name: substring, glob or fuzzy matching (e.g. \"bufpool\" finds buffer_pool_manager.cpp), ranked best first with each file's language and number of definitions",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            query: {
+                                type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
+                                description: "Part of the path, a glob (e.g. \"**/*_test.go\") or a fuzzy abbreviation"
+                            },
+                            match: {
+                                type: "string",
+                                enum: ["substring", "glob", "fuzzy"],
+                                description: "How to match the query against project-relative paths. Default: glob if the query contains glob characters, otherwise fuzzy"
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["query"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.find_files
+                },
+                {
+                    name: "plan_rename",
+                    description: "Plans renaming a symbol without changing any file: lists every occurrence to edit per file with line/column ranges and a confidence level (definitions and references GLOBAL resolved are high; other symbol hits and unparsed text medium; mentions in comments and strings low), and reports existing definitions of the new name that would collide",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            symbol: {
+                                type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
+                                description: "The identifier to rename"
+                            },
+                            new_name: {
+                                type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
+                                description: "The identifier to rename it to"
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        },
+                        required: ["symbol", "new_name"]
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.plan_rename
+                },
+                {
+                    name: "changed_symbols",
+                    description: "Maps a git diff to the definitions it touches: every function, class, etc. whose lines were added or changed, e.g. to review a branch",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            git_scope: {
+                                type: "string",
+                                description: "The changes to look at: 'working' (uncommitted changes, including untracked files; default), 'staged', or a revision range such as 'main..HEAD'"
+                            },
+                            kind: {
+                                type: "array",
+                                items: { type: "string", enum: DEFINITION_KINDS },
+                                description: "Only return definitions of these kinds (guessed from the definition line)"
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.changed_symbols
+                },
+                {
+                    name: "find_unused_symbols",
+                    description: "Finds dead code: definitions that nothing in the project references. Entry points such as main, exported APIs and test code are left out unless asked for. References are matched by name, so a name used anywhere counts as used for all its definitions",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            kind: {
+                                type: "array",
+                                items: { type: "string", enum: DEFINITION_KINDS },
+                                description: "Only check definitions of these kinds (guessed from the definition line)"
+                            },
+                            name_pattern: {
+                                type: "string",
+                                maxLength: MAX_ARGUMENT_LENGTH,
+                                description: "Only check symbols whose name matches this regular expression"
+                            },
+                            entry_points: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: `Names (globs allowed) that count as used even without references (default: ${DEFAULT_ENTRY_POINTS.join(', ')})`
+                            },
+                            include_exported: {
+                                type: "boolean",
+                                description: "Also report definitions that look exported (export, public, pub, capitalized Go names, C/C++ headers), which code outside the project may use (default: false)"
+                            },
+                            include_tests: {
+                                type: "boolean",
+                                description: "Also report definitions in test files (default: false)"
+                            },
+                            ...PAGING_PROPERTIES,
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.find_unused_symbols
+                },
+                {
+                    name: "index_status",
+                    description: "Reports the state of the GNU GLOBAL index: whether it exists, its size, how many files it covers, when it was last updated and whether an update is running",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.index_status
+                },
+                {
+                    name: "diagnose",
+                    description: "Checks the environment: whether GNU GLOBAL (global, gtags) is installed and recent enough, whether each project directory is writable, whether its index is intact and whether the configured parser is available. Reports how to fix each problem. Use it when other tools fail",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.diagnose
+                },
+                {
+                    name: "reindex",
+                    description: "Rebuilds the GNU GLOBAL index from scratch, or re-indexes only the given files. Normally not needed because the index is kept up to date automatically",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            paths: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Project-relative files to re-index. Omit to rebuild the whole index"
+                            },
+                            ...PROJECT_PROPERTY,
+                            ...FORMAT_PROPERTY
+                        }
+                    },
+                    outputSchema: OUTPUT_SCHEMAS.reindex
                 }
-            ]
+            ].filter(tool => !this.enabledTools || this.enabledTools.includes(tool.name))
         };
     }
 
-    async callTool(params) {
-        const { name, arguments: args } = params;
-        
-        switch (name) {
-            case 'get_definition':
-                return await this.getDefinition(args.symbol);
-            case 'get_references':
-                return await this.getReferences(args.symbol);
-            case 'list_symbols_with_prefix':
-                return await this.listSymbolsWithPrefix(args.prefix);
-            case 'search_pattern':
-                return await this.searchPattern(args.pattern);
-            default:
-                throw new Error(`Unknown tool: ${name}`);
+    async callTool(params, progressToken) {
+        const { name, arguments: args = {} } = params;
+        const tool = this.listTools().tools.find(t => t.name === name);
+        if (!tool) {
+            throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
         }
+        this.validateToolArguments(tool, args);
+        return this.applyOutputFormat(await this.runTool(name, args, progressToken), args.format || 'text');
     }
 
-    async ensureGtagsDatabase() {
-        const gtagsPath = path.join(this.projectDir, 'GTAGS');
-        try {
-            await fs.access(gtagsPath);
-        } catch (error) {
-            // GTAGS database doesn't exist, create it
-            await this.runCommand('gtags', [], { cwd: this.projectDir });
+    // Checks arguments against the tool's input schema (required properties,
+    // types, enums and integer ranges) so that bad calls fail with -32602
+    // instead of reaching `global`.
+    validateToolArguments(tool, args) {
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            throw new JsonRpcError(INVALID_PARAMS, `Arguments for ${tool.name} must be an object`);
+        }
+        const { properties = {}, required = [] } = tool.inputSchema;
+        for (const key of required) {
+            if (args[key] === undefined || args[key] === null) {
+                throw new JsonRpcError(INVALID_PARAMS, `Missing required argument '${key}' for ${tool.name}`);
+            }
+        }
+        for (const [key, value] of Object.entries(args)) {
+            const schema = properties[key];
+            if (!schema || value === undefined) continue;
+            const valid = {
+                string: typeof value === 'string',
+                integer: Number.isInteger(value),
+                boolean: typeof value === 'boolean',
+                array: Array.isArray(value),
+                object: typeof value === 'object' && value !== null && !Array.isArray(value)
+            }[schema.type];
+            if (valid === false) {
+                throw new JsonRpcError(INVALID_PARAMS, `Argument '${key}' for ${tool.name} must be of type ${schema.type}`);
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                throw new JsonRpcError(INVALID_PARAMS, `Argument '${key}' for ${tool.name} must be one of: ${schema.enum.join(', ')}`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                throw new JsonRpcError(INVALID_PARAMS, `Argument '${key}' for ${tool.name} is too long (at most ${schema.maxLength} characters)`);
+            }
+            // Strings end up as `global` arguments or in paths
+            try {
+                for (const item of Array.isArray(value) ? value : [value]) {
+                    if (typeof item === 'string') checkArgument(item, `Argument '${key}' for ${tool.name}`);
+                }
+            } catch (error) {
+                throw new JsonRpcError(INVALID_PARAMS, error.message);
+            }
+            if ((schema.minimum !== undefined && value < schema.minimum) ||
+                (schema.maximum !== undefined && value > schema.maximum)) {
+                throw new JsonRpcError(INVALID_PARAMS, `Argument '${key}' for ${tool.name} is out of range`);
+            }
         }
     }
 
-    async getDefinition(symbol) {
+    async runTool(name, args, progressToken) {
+        let paging;
         try {
-            const output = await this.runGlobalWithRecovery(['-x', symbol], { cwd: this.projectDir });
-            const lines = output.trim().split('\n').filter(line => line.trim());
-            
-            if (lines.length === 0) {
-                return {
-                    content: [
+            paging = parsePagingOptions(args, this.resultLimits);
+        } catch (error) {
+            throw new JsonRpcError(INVALID_PARAMS, error.message);
+        }
+        let gitScope = null;
+        try {
+            if (args.git_scope !== undefined) {
+                gitScope = parseGitScope(args.git_scope);
+            } else if (args.changed_lines_only) {
+                throw new Error('changed_lines_only needs git_scope');
+            }
+        } catch (error) {
+            throw new JsonRpcError(INVALID_PARAMS, error.message);
+        }
+        if (gitScope) gitScope.changedLinesOnly = args.changed_lines_only === true;
+        // diagnose also checks GNU GLOBAL itself, so it runs without projects
+        const projects = await this.resolveProjects(args.project, name === 'diagnose');
+        
+        switch (name) {
+            case 'get_definition':
+                return await this.getDefinition(projects, args.symbol, {
+                    includeBody: args.include_body,
+                    contextLines: args.context_lines,
+                    libraries: args.libraries,
+                    gitScope,
+                    paging
+                });
+            case 'get_references':
+                return await this.getReferences(projects, args.symbol, { gitScope, paging });
+            case 'symbol_at_position':
+                return await this.symbolAtPosition(projects, args.file, args.line, args.column);
+            case 'definition_at_position':
+                return await this.definitionAtPosition(projects, args.file, args.line, args.column, {
+                    includeBody: args.include_body,
+                    contextLines: args.context_lines,
+                    libraries: args.libraries,
+                    paging
+                });
+            case 'list_symbols_with_prefix':
+                return await this.listSymbolsWithPrefix(projects, args.prefix, { paging });
+            case 'search_pattern':
+                return await this.searchPattern(projects, args.pattern, {
+                    before: args.before_lines !== undefined ? args.before_lines : args.context_lines,
+                    after: args.after_lines !== undefined ? args.after_lines : args.context_lines,
+                    ignoreCase: args.ignore_case,
+                    fixedString: args.fixed_string,
+                    wholeWord: args.whole_word,
+                    scope: args.scope,
+                    gitScope,
+                    paging
+                });
+            case 'search_symbols':
+                return await this.searchSymbols(projects, args.query, {
+                    match: args.match,
+                    ignoreCase: args.ignore_case,
+                    kinds: args.kind,
+                    paging
+                });
+            case 'get_call_graph':
+                return await this.getCallGraph(this.singleProject(projects, name), args.symbol, args.direction, args.depth, { paging });
+            case 'get_file_dependencies':
+                return await this.getFileDependencies(projects, args.file, args.direction, args.depth, {
+                    includeExternal: args.include_external !== false,
+                    dot: args.dot === true,
+                    paging
+                });
+            case 'list_file_symbols':
+                if (args.limit === undefined) paging.limit = DEFAULT_OUTLINE_FILES;
+                return await this.listFileSymbols(this.singleProject(projects, name), args.files, { paging });
+            case 'find_files':
+                return await this.findFiles(projects, args.query, args.match, { paging });
+            case 'changed_symbols':
+                return await this.changedSymbols(projects, gitScope || parseGitScope('working'), { kinds: args.kind, paging });
+            case 'plan_rename':
+                return await this.planRename(projects, args.symbol, args.new_name, { paging });
+            case 'find_unused_symbols':
+                return await this.findUnusedSymbols(projects, {
+                    kinds: args.kind,
+                    namePattern: args.name_pattern,
+                    entryPoints: args.entry_points,
+                    includeExported: args.include_exported === true,
+                    includeTests: args.include_tests === true,
+                    paging
+                });
+            case 'index_status':
+                return await this.getIndexStatus(projects);
+            case 'diagnose':
+                return await this.diagnose(projects);
+            case 'reindex':
+                return await this.reindex(projects, args.paths, progressToken);
+            default:
+                throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+    }
+
+    // Resolves a tool's `project` argument (a project name or root directory)
+    // to the projects the call runs on. Without one it runs on all of them,
+    // of which there must be at least one unless `allowNone` is set.
+    async resolveProjects(name, allowNone = false) {
+        if (this.rootsRefresh) {
+            await this.rootsRefresh;
+        }
+        const projects = [...this.projects.values()];
+        if (projects.length === 0 && !(allowNone && name === undefined)) {
+            throw new JsonRpcError(INVALID_PARAMS, this.useClientRoots
+                ? 'No projects: the client has not reported any roots'
+                : 'No projects configured');
+        }
+        if (name === undefined) {
+            return projects;
+        }
+        const project = this.projects.get(name) || projects.find(p => p.dir === path.resolve(name));
+        if (!project) {
+            throw new JsonRpcError(INVALID_PARAMS, `Unknown project: ${name} (available: ${[...this.projects.keys()].join(', ')})`);
+        }
+        return [project];
+    }
+
+    // For tools whose results only make sense within one project
+    singleProject(projects, toolName) {
+        if (projects.length > 1) {
+            throw new JsonRpcError(INVALID_PARAMS, `${toolName} works on a single project; pass 'project' (one of: ${projects.map(p => p.name).join(', ')})`);
+        }
+        return projects[0];
+    }
+
+    // Runs a `global -x` style query in each project. Every tag remembers the
+    // project it came from.
+    // With `libraries` the project's library indexes are searched as well
+    // (see GtagsProject.commandOptions). GLOBAL reports library files
+    // relative to the project root; they are tagged with their library and
+    // given absolute paths.
+    async collectTags(projects, args, options = {}) {
+        const tags = [];
+        for (const project of projects) {
+            const output = await project.runGlobalWithRecovery(args, { libraries: options.libraries === true });
+            for (const tag of this.parseTagLines(output)) {
+                const absolute = path.resolve(project.dir, tag.file);
+                if (!options.libraries || isInside(project.dir, absolute)) {
+                    tags.push({ ...tag, project });
+                    continue;
+                }
+                const library = await project.libraryOf(absolute);
+                tags.push({ ...tag, file: absolute, project, library: library ? library.name : null });
+            }
+        }
+        return tags;
+    }
+
+    // Keeps the tags in files changed in `gitScope` (see parseGitScope), and
+    // with its changedLinesOnly set only those on changed lines. For
+    // definitions (`byExtent`) any changed line of the definition counts.
+    async filterByGitScope(tags, gitScope, byExtent = false) {
+        if (!gitScope) return tags;
+        const changes = new Map();
+        const kept = [];
+        for (const tag of tags) {
+            if (!changes.has(tag.project)) {
+                changes.set(tag.project, await getChangedLines(tag.project.dir, gitScope));
+            }
+            const ranges = changes.get(tag.project).get(tag.file.replace(/^\.\//, ''));
+            if (!ranges) continue;
+            if (gitScope.changedLinesOnly) {
+                let end = tag.line;
+                if (byExtent) {
+                    const lines = (await this.readMatchedFiles([tag])).get(tag);
+                    const extent = lines && findDefinitionExtent(lines, tag.line, tag.file);
+                    if (extent) end = extent.end;
+                }
+                if (countChangedLines(ranges, tag.line, end) === 0) continue;
+            }
+            kept.push(tag);
+        }
+        return kept;
+    }
+
+    // Says which changes a git_scope query was limited to, for result headers
+    gitScopeNote(gitScope) {
+        if (!gitScope) return '';
+        return gitScope.changedLinesOnly ? ` on lines changed in ${gitScope.label}` : ` in files changed in ${gitScope.label}`;
+    }
+
+    // Decides what goes into a tool result's text content. structuredContent
+    // is always kept; 'json' replaces the text with its serialization and
+    // 'both' appends it.
+    applyOutputFormat(result, format) {
+        if (format === 'text' || result.isError || result.structuredContent === undefined) {
+            return result;
+        }
+        const json = { type: "text", text: JSON.stringify(result.structuredContent) };
+        return {
+            ...result,
+            content: format === 'json' ? [json] : [...result.content, json]
+        };
+    }
+
+    async diagnose(projects) {
+        const { status, checks } = await runDiagnostics(projects);
+        const marks = { ok: 'ok', warning: 'WARN', error: 'FAIL' };
+        const lines = checks.map(result =>
+            `[${marks[result.status]}] ${result.project ? `${result.project}: ` : ''}${result.check}: ${result.message}` +
+            (result.fix ? `\n       Fix: ${result.fix}` : '')
+        );
+        const summary = status === 'ok' ? 'All checks passed'
+            : status === 'warning' ? 'Some checks found problems that limit the results'
+            : 'Some checks failed; affected tools will not work until they are fixed';
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${summary}:\n\n${lines.join('\n')}`
+                }
+            ],
+            structuredContent: { status, checks }
+        };
+    }
+
+    // Runs the checks of the diagnose tool when the server starts and
+    // reports problems on stderr, since no client is connected yet
+    async reportStartupProblems() {
+        const { checks } = await runDiagnostics([...this.projects.values()]);
+        for (const result of checks.filter(result => result.status !== 'ok')) {
+            process.stderr.write(`${result.status === 'error' ? 'Error' : 'Warning'}: ${result.project ? `${result.project}: ` : ''}` +
+                `${result.message}${result.fix ? ` (fix: ${result.fix})` : ''}\n`);
+        }
+    }
+
+    async getIndexStatus(projects) {
+        const statuses = [];
+        for (const project of projects) {
+            statuses.push(await project.getStatus());
+        }
+
+        const sections = statuses.map((status) => {
+            const project = this.projects.get(status.project);
+            const lines = [
+                `Project: ${status.project} (${status.projectDir})`,
+                `Index: ${status.exists ? 'present' : 'missing'}`,
+                `Size: ${(status.sizeBytes / 1024).toFixed(1)} KiB`,
+                `Files: ${status.files === null ? 'unknown' : status.files}`,
+                `Last updated: ${status.lastUpdated || 'never'}`,
+                `Rebuild running: ${status.rebuilding ? `yes${this.formatBuildProgress(status.buildProgress)}` : 'no'}`,
+                `Update running: ${status.updating ? 'yes' : 'no'}` +
+                    (status.pendingFiles > 0 ? ` (${status.pendingFiles} changed files pending)` : ''),
+                `Update strategy: ${status.updateStrategy === 'watch' ? 'file watching' : `every ${project.updateInterval}s`}`,
+                `Parser: ${status.parser}` +
+                    (status.parserFallback ? ` (fallback from ${status.parserFallback.requested}; ${status.parserFallback.reason})` : '')
+            ];
+            if (status.gtagsConf) {
+                lines.push(`gtags.conf: ${status.gtagsConf}`);
+            }
+            if (status.fileTypes) {
+                lines.push(`File types: ${status.fileTypes.join(', ')}`);
+            }
+            const { queries, files } = status.cache;
+            lines.push(`Query cache: ${queries.entries} entries, ${queries.hits} hits, ${queries.misses} misses, ${queries.coalesced} shared`);
+            lines.push(`File cache: ${files.entries} files, ${files.hits} hits, ${files.misses} misses`);
+            for (const library of status.libraries) {
+                const state = library.error ? `failed: ${library.error}`
+                    : library.indexDir ? `indexed in ${library.indexDir}`
+                    : 'not indexed yet';
+                lines.push(`Library ${library.name}: ${library.dir} (${state})`);
+            }
+            if (status.lastBuild) {
+                lines.push(`Last full build: ${status.lastBuild.finishedAt} (${status.lastBuild.files} files, ${(status.lastBuild.durationMs / 1000).toFixed(1)}s)`);
+            }
+            if (status.error) {
+                lines.push(`Error: ${status.error}`);
+            }
+            return lines.join('\n');
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `GNU GLOBAL index status:\n\n` + sections.join('\n\n')
+                }
+            ],
+            structuredContent: { projects: statuses }
+        };
+    }
+
+    formatBuildProgress(progress) {
+        if (!progress) return '';
+        return ` (${progress.files}${progress.total ? ` of ${progress.total}` : ''} files indexed)`;
+    }
+
+    async reindex(projects, paths, progressToken) {
+        const targets = Array.isArray(paths) ? paths.filter(p => typeof p === 'string' && p.trim()) : [];
+        // Paths are relative to one project root
+        const pathsProject = targets.length > 0 ? this.singleProject(projects, 'reindex with paths') : null;
+
+        try {
+            if (targets.length === 0) {
+                const startedAt = Date.now();
+                const lines = [];
+                for (const project of projects) {
+                    const projectStartedAt = Date.now();
+                    await project.rebuildGtagsDatabase(progressToken);
+                    const files = project.indexedFileCount === null ? 'unknown number of' : project.indexedFileCount;
+                    const seconds = ((Date.now() - projectStartedAt) / 1000).toFixed(1);
+                    lines.push(projects.length > 1
+                        ? `Rebuilt the GNU GLOBAL index of ${project.name} (${files} files) in ${seconds}s`
+                        : `Rebuilt the GNU GLOBAL index (${files} files) in ${seconds}s`);
+                }
+                return {
+                    content: [
                         {
                             type: "text",
-                            text: `No definition found for symbol: ${symbol}`
+                            text: lines.join('\n')
                         }
-                    ]
+                    ],
+                    structuredContent: {
+                        mode: 'full',
+                        projects: projects.map(p => p.name),
+                        files: [],
+                        durationMs: Date.now() - startedAt
+                    }
+                };
+            }
+
+            const files = targets.map(target => {
+                const relative = path.relative(pathsProject.dir, path.resolve(pathsProject.dir, target));
+                if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+                    throw new Error(`Path is outside the project: ${target}`);
+                }
+                return relative.split(path.sep).join('/');
+            });
+
+            const startedAt = Date.now();
+            for (let i = 0; i < files.length; i++) {
+                this.sendProgress(progressToken, i, files.length, `Updating ${files[i]}`);
+                await pathsProject.updateFile(files[i]);
+            }
+            this.sendProgress(progressToken, files.length, files.length, 'Done');
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Re-indexed ${files.length} file(s):\n\n` + files.join('\n')
+                    }
+                ],
+                structuredContent: { mode: 'paths', projects: [pathsProject.name], files, durationMs: Date.now() - startedAt }
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error re-indexing: ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    async getDefinition(projects, symbol, options = {}) {
+        const includeBody = options.includeBody === true;
+        const contextLines = Math.max(0, parseInt(options.contextLines) || 0);
+        const paging = options.paging || parsePagingOptions();
+        // Results are tagged with their project when the query spans several
+        const spanning = projects.length > 1;
+
+        try {
+            // 'fallback' is GLOBAL's own GTAGSLIBPATH behaviour; -T goes
+            // through the libraries even when the project has definitions
+            const libraries = options.libraries || 'fallback';
+            const args = libraries === 'all' ? ['-x', '-T', '--', symbol] : ['-x', '--', symbol];
+            const tags = await this.filterByGitScope(
+                await this.collectTags(projects, args, { libraries: libraries !== 'none' }), options.gitScope, true);
+            // With `near` (a project and file) the definitions closest to
+            // the file come first
+            const near = options.near;
+            const proximityOf = tag => this.definitionProximity(tag, near);
+            const page = near
+                ? paginate(tags, paging, tag => tag.file, tag => PROXIMITY_RANKS.indexOf(proximityOf(tag)) * 3 + relevanceRank(tag.file))
+                : paginate(tags, paging);
+            
+            if (page.total === 0) {
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `No definition found for symbol: ${symbol}${this.gitScopeNote(options.gitScope)}`
+                        }
+                    ],
+                    structuredContent: { symbol, ...pageMetadata(page), definitions: [] }
                 };
             }
 
             const results = [];
-            for (const line of lines) {
-                const [symbol, lineNum, file, code] = line.split(/\s+/, 4);
-                const filePath = path.resolve(this.projectDir, file);
+            for (const tag of page.items) {
+                const filePath = path.resolve(tag.project.dir, tag.file);
+                const origin = {
+                    ...(spanning ? { project: tag.project.name } : {}),
+                    ...(near ? { proximity: proximityOf(tag) } : {}),
+                    origin: tag.library !== undefined ? 'library' : 'project',
+                    ...(tag.library !== undefined ? { library: tag.library } : {})
+                };
                 
                 try {
-                    const fileContent = await fs.readFile(filePath, 'utf8');
+                    const fileContent = await tag.project.readFile(tag.file);
                     const fileLines = fileContent.split('\n');
-                    const targetLine = fileLines[parseInt(lineNum) - 1] || '';
+                    const targetLine = fileLines[tag.line - 1] || '';
                     
                     results.push({
-                        file: file,
-                        line: parseInt(lineNum),
+                        ...origin,
+                        symbol: tag.symbol,
+                        file: tag.file,
+                        line: tag.line,
+                        column: this.findSymbolColumn(targetLine, tag.symbol),
                         code: targetLine.trim(),
-                        fullPath: filePath
+                        fullPath: filePath,
+                        ...this.extractDefinitionSource(fileLines, tag.line, tag.file, includeBody, contextLines)
                     });
                 } catch (readError) {
                     results.push({
-                        file: file,
-                        line: parseInt(lineNum),
-                        code: code || 'Unable to read file content',
+                        ...origin,
+                        symbol: tag.symbol,
+                        file: tag.file,
+                        line: tag.line,
+                        column: null,
+                        code: tag.code || 'Unable to read file content',
                         fullPath: filePath
                     });
                 }
@@ -485,14 +1746,40 @@ Please execute this analysis systematically and provide a comprehensive refactor
                 content: [
                     {
                         type: "text",
-                        text: `Definition(s) of '${symbol}':\n\n` +
+                        text: `Definition(s) of '${symbol}'${this.gitScopeNote(options.gitScope)}:\n\n` +
                               results.map(r => 
-                                `File: ${r.file}:${r.line}\n` +
+                                (r.project ? `Project: ${r.project}\n` : '') +
+                                `File: ${r.file}:${r.line}` + (r.proximity && r.proximity !== 'other' ? ` (${r.proximity.replace('-', ' ')})` : '') + '\n' +
+                                (r.origin === 'library' ? `Library: ${r.library || 'unknown'} (not project code)\n` : '') +
                                 `Code: ${r.code}\n` +
-                                `Path: ${r.fullPath}`
-                              ).join('\n\n')
+                                `Path: ${r.fullPath}` +
+                                (r.source ? `\n${r.sourceLabel}:\n${r.source}` : '')
+                              ).join('\n\n') +
+                              formatPageFooter(page)
                     }
-                ]
+                ],
+                structuredContent: {
+                    symbol,
+                    ...pageMetadata(page),
+                    definitions: results.map(r => ({
+                        ...(r.project ? { project: r.project } : {}),
+                        ...(r.proximity ? { proximity: r.proximity } : {}),
+                        origin: r.origin,
+                        ...(r.origin === 'library' ? { library: r.library } : {}),
+                        symbol: r.symbol,
+                        file: r.file,
+                        line: r.line,
+                        column: r.column,
+                        code: r.code,
+                        path: r.fullPath,
+                        ...(r.body !== undefined ? {
+                            startLine: r.startLine,
+                            endLine: r.endLine,
+                            extent: r.extent,
+                            body: r.body
+                        } : {})
+                    }))
+                }
             };
         } catch (error) {
             return {
@@ -501,47 +1788,90 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         type: "text",
                         text: `Error getting definition for '${symbol}': ${error.message}`
                     }
-                ]
+                ],
+                isError: true
             };
         }
     }
 
-    async getReferences(symbol) {
+    // Picks the source lines to show for a definition. With includeBody the
+    // whole definition extent is returned, falling back to a fixed window of
+    // lines when the extent cannot be determined.
+    extractDefinitionSource(fileLines, lineNum, file, includeBody, contextLines) {
+        if (!includeBody && contextLines === 0) {
+            return {};
+        }
+
+        let start = lineNum;
+        let end = lineNum;
+        let extent = 'line';
+        if (includeBody) {
+            const found = findDefinitionExtent(fileLines, lineNum, file);
+            if (found) {
+                end = found.end;
+                extent = 'block';
+            } else {
+                end = lineNum + FALLBACK_WINDOW_LINES;
+                extent = 'window';
+            }
+        }
+        start = Math.max(1, start - contextLines);
+        end = Math.min(fileLines.length, end + contextLines);
+
+        const label = extent === 'block' ? 'Body'
+            : extent === 'window' ? 'Source (definition end not detected)'
+            : 'Source';
+        return {
+            startLine: start,
+            endLine: end,
+            extent: extent,
+            body: fileLines.slice(start - 1, end).join('\n'),
+            source: formatNumberedLines(fileLines, start, end),
+            sourceLabel: `${label} (lines ${start}-${end})`
+        };
+    }
+
+    async getReferences(projects, symbol, options = {}) {
+        const paging = options.paging || parsePagingOptions();
+        const spanning = projects.length > 1;
+
         try {
-            const output = await this.runGlobalWithRecovery(['-x', '-r', symbol], { cwd: this.projectDir });
-            const lines = output.trim().split('\n').filter(line => line.trim());
+            const tags = await this.filterByGitScope(await this.collectTags(projects, ['-x', '-r', '--', symbol]), options.gitScope);
+            const page = paginate(tags, paging);
             
-            if (lines.length === 0) {
+            if (page.total === 0) {
                 return {
                     content: [
                         {
                             type: "text",
-                            text: `No references found for symbol: ${symbol}`
+                            text: `No references found for symbol: ${symbol}${this.gitScopeNote(options.gitScope)}`
                         }
-                    ]
+                    ],
+                    structuredContent: { symbol, ...pageMetadata(page), references: [] }
                 };
             }
 
-            const results = [];
-            for (const line of lines) {
-                const [symbol, lineNum, file, code] = line.split(/\s+/, 4);
-                results.push({
-                    file: file,
-                    line: parseInt(lineNum),
-                    code: code || 'N/A'
-                });
-            }
+            const results = page.items.map(tag => ({
+                ...(spanning ? { project: tag.project.name } : {}),
+                symbol: tag.symbol,
+                file: tag.file,
+                line: tag.line,
+                column: this.findSymbolColumn(tag.code, tag.symbol),
+                code: tag.code.trim()
+            }));
 
             return {
                 content: [
                     {
                         type: "text",
-                        text: `References to '${symbol}' (${results.length} found):\n\n` +
+                        text: `References to '${symbol}'${this.gitScopeNote(options.gitScope)} (${page.total} found):\n\n` +
                               results.map(r => 
-                                `${r.file}:${r.line} - ${r.code}`
-                              ).join('\n')
+                                `${r.project ? `[${r.project}] ` : ''}${r.file}:${r.line} - ${r.code || 'N/A'}`
+                              ).join('\n') +
+                              formatPageFooter(page)
                     }
-                ]
+                ],
+                structuredContent: { symbol, ...pageMetadata(page), references: results }
             };
         } catch (error) {
             return {
@@ -550,24 +1880,211 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         type: "text",
                         text: `Error getting references for '${symbol}': ${error.message}`
                     }
-                ]
+                ],
+                isError: true
+            };
+        }
+    }
+
+    async symbolAtPosition(projects, file, line, column) {
+        const project = this.projectForFile(projects, file, 'symbol_at_position');
+        const relative = this.projectRelativePath(project, file);
+        try {
+            const position = await this.resolvePosition(project, relative, line, column);
+            const identifier = position.identifier;
+            const state = { project, files: new Map(), fileTags: new Map() };
+
+            let enclosing = null;
+            const def = await this.findEnclosingDefinition(position.file, line, state);
+            if (def) {
+                const extent = findDefinitionExtent(position.lines, def.line, position.file);
+                enclosing = {
+                    symbol: def.symbol,
+                    kind: guessDefinitionKind(def.code, def.symbol),
+                    line: def.line,
+                    endLine: extent ? extent.end : def.line
+                };
+            }
+
+            let isDefinition = false;
+            let definitions = [];
+            let references = 0;
+            if (identifier) {
+                const fileDefs = await this.listFileTags(position.file, false, state);
+                isDefinition = fileDefs.some(tag => tag.line === line && tag.symbol === identifier.name);
+                definitions = await this.collectTags([project], ['-x', '--', identifier.name]);
+                references = (await this.collectTags([project], ['-x', '-r', '--', identifier.name])).length;
+            }
+            const near = { project, file: position.file };
+            const likeliest = definitions
+                .map((tag, index) => ({ tag, index, proximity: this.definitionProximity(tag, near) }))
+                .sort((a, b) => PROXIMITY_RANKS.indexOf(a.proximity) - PROXIMITY_RANKS.indexOf(b.proximity) ||
+                    relevanceRank(a.tag.file) - relevanceRank(b.tag.file) || a.index - b.index)[0];
+
+            const result = {
+                file: position.file,
+                line,
+                column,
+                code: position.code.trim(),
+                symbol: identifier ? identifier.name : null,
+                startColumn: identifier ? identifier.column : null,
+                isDefinition,
+                enclosing,
+                definitions: definitions.length,
+                references,
+                likeliestDefinition: likeliest
+                    ? { file: likeliest.tag.file, line: likeliest.tag.line, proximity: likeliest.proximity }
+                    : null
+            };
+            const lines = [
+                `Symbol at ${position.file}:${line}:${column}: ` +
+                    (identifier ? `${identifier.name} (${isDefinition ? 'definition' : 'reference'})` : 'none'),
+                `Code: ${result.code}`,
+                `Enclosing definition: ${enclosing ? `${enclosing.symbol} (${enclosing.kind ? `${enclosing.kind}, ` : ''}lines ${enclosing.line}-${enclosing.endLine})` : 'none'}`
+            ];
+            if (identifier) {
+                lines.push(`Definitions: ${definitions.length}` + (likeliest
+                    ? ` (likeliest: ${likeliest.tag.file}:${likeliest.tag.line}${likeliest.proximity !== 'other' ? `, ${likeliest.proximity.replace('-', ' ')}` : ''})`
+                    : ''));
+                lines.push(`References: ${references}`);
+            }
+            return {
+                content: [{ type: "text", text: lines.join('\n') }],
+                structuredContent: result
+            };
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error resolving ${file}:${line}:${column}: ${error.message}` }],
+                isError: true
+            };
+        }
+    }
+
+    async definitionAtPosition(projects, file, line, column, options = {}) {
+        const project = this.projectForFile(projects, file, 'definition_at_position');
+        const relative = this.projectRelativePath(project, file);
+        let position;
+        try {
+            position = await this.resolvePosition(project, relative, line, column);
+            if (!position.identifier) {
+                throw new Error(`no identifier at column ${column} of: ${position.code.trim()}`);
+            }
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error resolving ${file}:${line}:${column}: ${error.message}` }],
+                isError: true
             };
         }
+
+        const { name, column: startColumn } = position.identifier;
+        const result = await this.getDefinition([project], name, { ...options, near: { project, file: position.file } });
+        if (result.isError) return result;
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Identifier at ${position.file}:${line}:${column}: ${name}\n\n${result.content[0].text}`
+                }
+            ],
+            structuredContent: {
+                ...result.structuredContent,
+                position: { file: position.file, line, column, startColumn }
+            }
+        };
+    }
+
+    // The project an absolute `file` lies in; for a relative path the single
+    // project the call runs on
+    projectForFile(projects, file, toolName) {
+        if (path.isAbsolute(file)) {
+            const containing = projects
+                .filter(project => isInside(project.dir, file))
+                .sort((a, b) => b.dir.length - a.dir.length);
+            if (containing.length > 0) return containing[0];
+        }
+        return this.singleProject(projects, toolName);
+    }
+
+    // `file` (absolute or relative to the project root) relative to the root
+    projectRelativePath(project, file) {
+        const relative = path.normalize(path.isAbsolute(file) ? path.relative(project.dir, file) : file)
+            .split(path.sep).join('/');
+        if (relative === '..' || relative.startsWith('../') || path.isAbsolute(relative)) {
+            throw new JsonRpcError(INVALID_PARAMS, `File is outside the project: ${file}`);
+        }
+        return relative;
+    }
+
+    // Reads the line at a position in a project-relative file. Resolves with
+    // the file's lines, the line itself and the identifier at the column
+    // (see identifierAt).
+    async resolvePosition(project, file, line, column) {
+        let text;
+        try {
+            text = await project.readFile(file);
+        } catch (error) {
+            throw error.code === 'ENOENT' ? new Error(`No such file: ${file}`) : error;
+        }
+        const lines = text.split('\n');
+        const lineCount = text.endsWith('\n') ? lines.length - 1 : lines.length;
+        if (line > lineCount) {
+            throw new Error(`${file} has only ${lineCount} lines`);
+        }
+        const code = lines[line - 1];
+        return { file, lines, code, identifier: this.identifierAt(code, column) };
+    }
+
+    // The identifier in `code` covering the 1-based `column`, or ending just
+    // before it as with a cursor placed after a word: { name, column } with
+    // the column it starts at, or null
+    identifierAt(code, column) {
+        const pattern = /[\w$]+/g;
+        let match;
+        while ((match = pattern.exec(code)) !== null) {
+            const start = match.index + 1;
+            if (column >= start && column <= start + match[0].length && !/^\d/.test(match[0])) {
+                return { name: match[0], column: start };
+            }
+        }
+        return null;
     }
 
-    async listSymbolsWithPrefix(prefix) {
+    // 'same-file', 'same-directory' or 'other': where a definition lies
+    // relative to `near` (a project and project-relative file)
+    definitionProximity(tag, near) {
+        if (tag.project !== near.project) return 'other';
+        const file = tag.file.replace(/^\.\//, '');
+        if (file === near.file) return 'same-file';
+        return path.posix.dirname(file) === path.posix.dirname(near.file) ? 'same-directory' : 'other';
+    }
+
+    async listSymbolsWithPrefix(projects, prefix, options = {}) {
+        const paging = options.paging || parsePagingOptions();
+
         try {
-            const output = await this.runGlobalWithRecovery(['-c', prefix], { cwd: this.projectDir });
-            const symbols = output.trim().split('\n').filter(line => line.trim());
+            const found = new Set();
+            for (const project of projects) {
+                if (paging.include.length > 0 || paging.exclude.length > 0) {
+                    (await this.listDefinedSymbolsWithPrefix(project, prefix, paging)).forEach(s => found.add(s));
+                } else {
+                    const output = await project.runGlobalWithRecovery(['-c', '--', prefix]);
+                    output.trim().split('\n').filter(line => line.trim()).forEach(s => found.add(s));
+                }
+            }
+            // Symbols defined in several projects are listed once
+            const candidates = projects.length > 1 ? [...found].sort() : [...found];
+            const page = paginate(candidates, paging, () => null);
+            const symbols = page.items;
             
-            if (symbols.length === 0) {
+            if (page.total === 0) {
                 return {
                     content: [
                         {
                             type: "text",
                             text: `No symbols found with prefix: ${prefix}`
                         }
-                    ]
+                    ],
+                    structuredContent: { prefix, ...pageMetadata(page), symbols: [] }
                 };
             }
 
@@ -575,10 +2092,12 @@ Please execute this analysis systematically and provide a comprehensive refactor
                 content: [
                     {
                         type: "text",
-                        text: `Symbols with prefix '${prefix}' (${symbols.length} found):\n\n` +
-                              symbols.join('\n')
+                        text: `Symbols with prefix '${prefix}' (${page.total} found):\n\n` +
+                              symbols.join('\n') +
+                              formatPageFooter(page)
                     }
-                ]
+                ],
+                structuredContent: { prefix, ...pageMetadata(page), symbols }
             };
         } catch (error) {
             return {
@@ -587,47 +2106,116 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         type: "text",
                         text: `Error listing symbols with prefix '${prefix}': ${error.message}`
                     }
-                ]
+                ],
+                isError: true
             };
         }
     }
 
-    async searchPattern(pattern) {
+    async searchPattern(projects, pattern, options = {}) {
+        const paging = options.paging || parsePagingOptions();
+        if (!options.fixedString) {
+            try {
+                checkPattern(pattern);
+            } catch (error) {
+                throw new JsonRpcError(INVALID_PARAMS, error.message);
+            }
+        }
+        const before = Math.max(0, parseInt(options.before) || 0);
+        const after = Math.max(0, parseInt(options.after) || 0);
+        const spanning = projects.length > 1;
+
+        // GLOBAL matches with POSIX extended regexes; whole words use the
+        // GNU \< \> anchors. The same search as a JavaScript regex locates
+        // the match within the line.
+        const args = ['-x', '-g'];
+        if (options.ignoreCase) args.push('-i');
+        let globalPattern = pattern;
+        if (options.wholeWord) {
+            globalPattern = `\\<(${options.fixedString ? escapeRegExp(pattern) : pattern})\\>`;
+        } else if (options.fixedString) {
+            args.push('--literal');
+        }
+        let jsPattern = options.fixedString ? escapeRegExp(pattern) : pattern;
+        if (options.wholeWord) jsPattern = `\\b(?:${jsPattern})\\b`;
+        const jsFlags = options.ignoreCase ? 'i' : '';
+
+        let scope = null;
+        if (options.scope !== undefined) {
+            scope = path.normalize(options.scope).split(path.sep).join('/').replace(/\/$/, '');
+            if (path.isAbsolute(scope) || scope === '..' || scope.startsWith('../')) {
+                throw new JsonRpcError(INVALID_PARAMS, `scope must be a directory inside the project: ${options.scope}`);
+            }
+        }
+
         try {
-            const output = await this.runGlobalWithRecovery(['-x', '-g', pattern], { cwd: this.projectDir });
-            const lines = output.trim().split('\n').filter(line => line.trim());
+            const tags = [];
+            for (const project of projects) {
+                const projectArgs = [...args];
+                if (scope && scope !== '.') {
+                    // A scope missing from this project matches nothing
+                    try {
+                        if (!(await fs.stat(path.join(project.dir, scope))).isDirectory()) continue;
+                    } catch (error) {
+                        continue;
+                    }
+                    projectArgs.push('-S', scope);
+                }
+                tags.push(...await this.collectTags([project], [...projectArgs, '--', globalPattern]));
+            }
+            const page = paginate(await this.filterByGitScope(tags, options.gitScope), paging);
             
-            if (lines.length === 0) {
+            if (page.total === 0) {
                 return {
                     content: [
                         {
                             type: "text",
-                            text: `No matches found for pattern: ${pattern}`
+                            text: `No matches found for pattern: ${pattern}${this.gitScopeNote(options.gitScope)}`
                         }
-                    ]
+                    ],
+                    structuredContent: { pattern, ...pageMetadata(page), matches: [] }
                 };
             }
 
-            const results = [];
-            for (const line of lines) {
-                const [symbol, lineNum, file, code] = line.split(/\s+/, 4);
-                results.push({
-                    file: file,
-                    line: parseInt(lineNum),
-                    code: code || 'N/A'
-                });
-            }
+            const fileLines = await this.readMatchedFiles(page.items);
+            const regions = this.classifyMatches(page.items, fileLines, jsPattern, jsFlags);
+            const results = page.items.map((tag, i) => {
+                const lines = fileLines.get(tag);
+                const column = this.findPatternColumn(tag.code, jsPattern, jsFlags);
+                const result = {
+                    ...(spanning ? { project: tag.project.name } : {}),
+                    file: tag.file,
+                    line: tag.line,
+                    column,
+                    code: tag.code.trim(),
+                    region: regions[i]
+                };
+                if (lines && (before > 0 || after > 0)) {
+                    result.before = lines.slice(Math.max(0, tag.line - 1 - before), tag.line - 1);
+                    result.after = lines.slice(tag.line, tag.line + after);
+                    result.source = formatNumberedLines(lines, tag.line - before, tag.line + after);
+                }
+                return result;
+            });
 
             return {
                 content: [
                     {
                         type: "text",
-                        text: `Pattern matches for '${pattern}' (${results.length} found):\n\n` +
+                        text: `Pattern matches for '${pattern}'${this.gitScopeNote(options.gitScope)} (${page.total} found):\n\n` +
                               results.map(r => 
-                                `${r.file}:${r.line} - ${r.code}`
-                              ).join('\n')
+                                `${r.project ? `[${r.project}] ` : ''}${r.file}:${r.line} - ${r.code || 'N/A'}` +
+                                (r.region && r.region !== 'code' ? ` [in ${r.region}]` : '') +
+                                (r.source ? `\n${r.source}` : '')
+                              ).join(before > 0 || after > 0 ? '\n\n' : '\n') +
+                              formatPageFooter(page)
                     }
-                ]
+                ],
+                structuredContent: {
+                    pattern,
+                    ...pageMetadata(page),
+                    matches: results.map(({ source, ...match }) => match)
+                }
             };
         } catch (error) {
             return {
@@ -636,105 +2224,1262 @@ Please execute this analysis systematically and provide a comprehensive refactor
                         type: "text",
                         text: `Error searching pattern '${pattern}': ${error.message}`
                     }
-                ]
+                ],
+                isError: true
             };
         }
     }
 
-    async runCommand(command, args, options = {}) {
-        return new Promise((resolve, reject) => {
-            const child = spawn(command, args, {
-                stdio: ['ignore', 'pipe', 'pipe'],
-                ...options
-            });
-
-            let stdout = '';
-            let stderr = '';
-
-            child.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
-
-            child.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
-
-            child.on('close', (code) => {
-                if (code === 0) {
-                    resolve(stdout);
-                } else {
-                    reject(new Error(`Command failed with code ${code}: ${stderr}`));
+    // Reads the files of the given tags. Returns a Map from each tag to its
+    // file's lines (null if the file can't be read).
+    async readMatchedFiles(tags) {
+        const byPath = new Map();
+        const result = new Map();
+        for (const tag of tags) {
+            const filePath = path.resolve(tag.project.dir, tag.file);
+            if (!byPath.has(filePath)) {
+                try {
+                    byPath.set(filePath, (await tag.project.readFile(tag.file)).split('\n'));
+                } catch (error) {
+                    byPath.set(filePath, null);
                 }
-            });
+            }
+            result.set(tag, byPath.get(filePath));
+        }
+        return result;
+    }
 
-            child.on('error', (error) => {
-                reject(error);
-            });
+    // Tells for each match whether it is in code, a comment or a string
+    // literal, or null where the language isn't one we can scan
+    classifyMatches(tags, fileLines, jsPattern, jsFlags) {
+        const byFile = new Map();
+        tags.forEach((tag, i) => {
+            const lines = fileLines.get(tag);
+            if (!lines) return;
+            if (!byFile.has(lines)) byFile.set(lines, { file: tag.file, entries: [] });
+            byFile.get(lines).entries.push(i);
         });
-    }
 
-    async rebuildGtagsDatabase() {
-        if (this.isRebuilding) return;
-        this.isRebuilding = true;
-        try {
-            for (const file of ['GTAGS', 'GRTAGS', 'GPATH']) {
-                try { await fs.unlink(path.join(this.projectDir, file)); } catch (e) {}
+        const regions = tags.map(() => null);
+        for (const [lines, { file, entries }] of byFile) {
+            const classified = classifyFileLines(lines, file, entries.map(i => tags[i].line));
+            if (!classified) continue;
+            for (const i of entries) {
+                const classes = classified.get(tags[i].line);
+                const column = this.findPatternColumn(lines[tags[i].line - 1] || '', jsPattern, jsFlags);
+                if (classes && column !== null) {
+                    regions[i] = classes[column - 1] || null;
+                }
             }
-            await this.runCommand('gtags', [], { cwd: this.projectDir });
-        } finally {
-            this.isRebuilding = false;
         }
+        return regions;
     }
 
-    async runGlobalWithRecovery(args, options) {
-        try {
-            return await this.runCommand('global', args, options);
-        } catch (error) {
-            await this.rebuildGtagsDatabase();
-            return await this.runCommand('global', args, options);
+    async searchSymbols(projects, query, options = {}) {
+        const match = options.match || 'fuzzy';
+        const ignoreCase = options.ignoreCase !== false;
+        const kinds = options.kinds || [];
+        const paging = options.paging || parsePagingOptions();
+        const spanning = projects.length > 1;
+        const unknownKinds = kinds.filter(kind => !DEFINITION_KINDS.includes(kind));
+        if (unknownKinds.length > 0) {
+            throw new JsonRpcError(INVALID_PARAMS, `Unknown kind: ${unknownKinds.join(', ')} (expected one of: ${DEFINITION_KINDS.join(', ')})`);
         }
-    }
-
-    startPeriodicUpdate() {
-        setInterval(() => {
-            if (this.updateProcess !== null || this.isRebuilding) {
-                return;
+        if (match === 'regex') {
+            try {
+                new RegExp(query);
+                checkPattern(query, 'query');
+            } catch (error) {
+                throw new JsonRpcError(INVALID_PARAMS, error.message);
             }
+        }
 
-            const child = spawn('global', ['-u'], {
-                stdio: ['ignore', 'pipe', 'pipe'],
-                cwd: this.projectDir
-            });
-            this.updateProcess = child;
-
-            let stderr = '';
-            child.stderr.on('data', (data) => { stderr += data.toString(); });
-            child.on('close', async (code) => {
-                this.updateProcess = null;
-                if (code !== 0) {
-                    await this.rebuildGtagsDatabase().catch(err => {
-                        process.stderr.write(`Failed to rebuild gtags database: ${err.message}\n`);
-                    });
+        try {
+            const hits = [];
+            for (const project of projects) {
+                const args = await this.symbolSearchArgs(project, query, match, ignoreCase);
+                if (!args) continue;
+                const output = await project.runGlobalWithRecovery(args);
+                for (const tag of this.parseTagLines(output)) {
+                    const kind = guessDefinitionKind(tag.code, tag.symbol);
+                    if (kinds.length > 0 && !kinds.includes(kind)) continue;
+                    const score = match === 'regex' ? null : fuzzySymbolScore(query, tag.symbol);
+                    hits.push({ project, tag, kind, score });
                 }
-            });
-            child.on('error', (err) => {
-                this.updateProcess = null;
-                process.stderr.write(`Periodic update error: ${err.message}\n`);
-            });
-        }, this.updateInterval * 1000);
-    }
+            }
+            // Best match first; regex hits keep GLOBAL's order
+            if (match !== 'regex') {
+                hits.sort((a, b) => b.score - a.score || a.tag.symbol.localeCompare(b.tag.symbol));
+            }
+            const page = paginate(hits, paging, hit => hit.tag.file);
 
-    sendResponse(response) {
-        process.stdout.write(JSON.stringify(response) + '\n');
-    }
+            if (page.total === 0) {
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `No symbols found matching: ${query}`
+                        }
+                    ],
+                    structuredContent: { query, match, ...pageMetadata(page), symbols: [] }
+                };
+            }
 
-    sendError(error) {
-        process.stdout.write(JSON.stringify(error) + '\n');
-    }
+            const results = page.items.map(hit => ({
+                ...(spanning ? { project: hit.project.name } : {}),
+                symbol: hit.tag.symbol,
+                kind: hit.kind,
+                file: hit.tag.file,
+                line: hit.tag.line,
+                code: hit.tag.code.trim(),
+                score: hit.score === null ? null : Math.round(hit.score * 10) / 10
+            }));
 
-    start() {
-        // Server is ready to receive messages
-        process.stderr.write('GtagsMCPServer started\n');
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Symbols matching '${query}' (${page.total} found):\n\n` +
+                              results.map(r =>
+                                `${r.symbol}${r.kind ? ` [${r.kind}]` : ''} - ${r.project ? `[${r.project}] ` : ''}${r.file}:${r.line} - ${r.code}`
+                              ).join('\n') +
+                              formatPageFooter(page)
+                    }
+                ],
+                structuredContent: { query, match, ...pageMetadata(page), symbols: results }
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error searching symbols matching '${query}': ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // The `global` arguments that list the definitions a symbol search wants,
+    // or null when nothing can match. Substring and regex searches are one
+    // `global -e` query; fuzzy searches score every symbol name (`global -c`)
+    // and look up the definitions of the best ones.
+    async symbolSearchArgs(project, query, match, ignoreCase) {
+        const caseArgs = ignoreCase ? ['-i'] : [];
+        if (match === 'regex') {
+            return ['-x', ...caseArgs, '-e', query];
+        }
+        if (match === 'substring') {
+            return ['-x', ...caseArgs, '-e', `.*${escapeRegExp(query)}.*`];
+        }
+
+        const output = await project.runGlobalWithRecovery(['-c']);
+        const names = output.trim().split('\n')
+            .filter(name => name.trim())
+            .map(name => ({ name, score: fuzzySymbolScore(query, name) }))
+            .filter(candidate => candidate.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_FUZZY_SYMBOLS)
+            .map(candidate => escapeRegExp(candidate.name));
+        if (names.length === 0) return null;
+        return ['-x', '-e', `^(${names.join('|')})$`];
+    }
+
+    // Prefix completion restricted to symbols defined in files that pass the
+    // path filters. `global -c` has no notion of paths, so this lists the
+    // matching definitions instead.
+    async listDefinedSymbolsWithPrefix(project, prefix, paging) {
+        const regex = '^' + escapeRegExp(prefix) + '.*';
+        const output = await project.runGlobalWithRecovery(['-x', '--', regex]);
+        const symbols = new Set();
+        for (const tag of this.parseTagLines(output)) {
+            if (matchesPathFilters(tag.file, paging)) {
+                symbols.add(tag.symbol);
+            }
+        }
+        return [...symbols].sort();
+    }
+
+    async getCallGraph(project, symbol, direction = 'callers', depth = DEFAULT_CALL_GRAPH_DEPTH, options = {}) {
+        if (direction !== 'callers' && direction !== 'callees') {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid direction: ${direction} (expected 'callers' or 'callees')`);
+        }
+        const maxDepth = Math.min(MAX_CALL_GRAPH_DEPTH, Math.max(1, parseInt(depth) || DEFAULT_CALL_GRAPH_DEPTH));
+        const paging = options.paging || parsePagingOptions();
+
+        try {
+            const state = {
+                project,
+                direction,
+                files: new Map(),
+                fileTags: new Map(),
+                expanded: new Set(),
+                paging,
+                rootPage: null,
+                nodeCount: 0,
+                truncated: false
+            };
+            const root = { symbol, locations: await this.findDefinitionLocations(project, symbol), children: [] };
+            await this.expandCallGraphNode(root, maxDepth, [symbol], state);
+
+            const heading = direction === 'callers'
+                ? `Callers of '${symbol}' (depth ${maxDepth})`
+                : `Callees of '${symbol}' (depth ${maxDepth})`;
+            const page = state.rootPage;
+            const graph = {
+                symbol,
+                direction,
+                depth: maxDepth,
+                ...pageMetadata(page),
+                truncated: state.truncated || page.truncated,
+                root
+            };
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `${heading}:\n\n` + this.formatCallGraphNode(root, 0) +
+                              (state.truncated ? `\n\n(truncated after ${MAX_CALL_GRAPH_NODES} nodes)` : '') +
+                              formatPageFooter(page)
+                    }
+                ],
+                structuredContent: graph
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error building call graph for '${symbol}': ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // Fills in node.children with the callers/callees of node.symbol, recursing
+    // until `remaining` levels are used up. `ancestors` is the path from the root
+    // and is used to detect cycles; symbols already expanded elsewhere in the
+    // tree are listed but not expanded again. Path filters apply at every
+    // level, while limit/offset page through the root's direct edges.
+    async expandCallGraphNode(node, remaining, ancestors, state) {
+        if (remaining === 0) return;
+        state.expanded.add(node.symbol);
+
+        const found = state.direction === 'callers'
+            ? await this.findCallers(node.symbol, state)
+            : await this.findCallees(node, state);
+        const edgeFile = edge => (edge.locations[0] || edge.sites[0] || {}).file;
+
+        let edges;
+        if (ancestors.length === 1) {
+            state.rootPage = paginate(found, state.paging, edgeFile);
+            edges = state.rootPage.items;
+        } else {
+            edges = found.filter(edge => matchesPathFilters(edgeFile(edge), state.paging));
+        }
+
+        for (const edge of edges) {
+            if (state.nodeCount >= MAX_CALL_GRAPH_NODES) {
+                state.truncated = true;
+                return;
+            }
+            state.nodeCount++;
+
+            const child = { ...edge, children: [] };
+            node.children.push(child);
+            if (!child.symbol) continue;
+            if (ancestors.includes(child.symbol)) {
+                child.cycle = true;
+            } else if (state.expanded.has(child.symbol)) {
+                child.seen = true;
+            } else {
+                await this.expandCallGraphNode(child, remaining - 1, [...ancestors, child.symbol], state);
+            }
+        }
+    }
+
+    // Resolves every reference to `symbol` to the definition enclosing it.
+    // References outside any definition are reported with symbol null.
+    async findCallers(symbol, state) {
+        const output = await state.project.runGlobalWithRecovery(['-x', '-r', '--', symbol]);
+        const byCaller = new Map();
+
+        for (const ref of this.parseTagLines(output)) {
+            const enclosing = await this.findEnclosingDefinition(ref.file, ref.line, state);
+            const key = enclosing ? `${enclosing.symbol}\0${enclosing.file}:${enclosing.line}` : `\0${ref.file}`;
+            if (!byCaller.has(key)) {
+                byCaller.set(key, {
+                    symbol: enclosing ? enclosing.symbol : null,
+                    locations: enclosing ? [{ file: enclosing.file, line: enclosing.line }] : [{ file: ref.file }],
+                    sites: []
+                });
+            }
+            byCaller.get(key).sites.push({ file: ref.file, line: ref.line });
+        }
+        return [...byCaller.values()];
+    }
+
+    // Collects the project symbols referenced inside the body of each
+    // definition of node.symbol.
+    async findCallees(node, state) {
+        const byCallee = new Map();
+
+        for (const location of node.locations) {
+            const lines = await this.readFileLines(location.file, state);
+            if (!lines) continue;
+            const extent = findDefinitionExtent(lines, location.line, location.file);
+            const end = extent ? extent.end : location.line;
+
+            const refs = await this.listFileTags(location.file, true, state);
+            for (const ref of refs) {
+                if (ref.line < location.line || ref.line > end || ref.symbol === node.symbol) continue;
+                if (!byCallee.has(ref.symbol)) {
+                    byCallee.set(ref.symbol, { symbol: ref.symbol, locations: [], sites: [] });
+                }
+                byCallee.get(ref.symbol).sites.push({ file: ref.file, line: ref.line });
+            }
+        }
+
+        for (const callee of byCallee.values()) {
+            callee.locations = await this.findDefinitionLocations(state.project, callee.symbol);
+        }
+        return [...byCallee.values()];
+    }
+
+    async findDefinitionLocations(project, symbol) {
+        const output = await project.runGlobalWithRecovery(['-x', '--', symbol]);
+        return this.parseTagLines(output).map(tag => ({ file: tag.file, line: tag.line }));
+    }
+
+    // Finds the innermost definition in `file` whose extent contains `line`.
+    // When a definition's extent can't be determined it is assumed to contain
+    // the line if it is the closest definition above it.
+    async findEnclosingDefinition(file, line, state) {
+        const defs = await this.listFileTags(file, false, state);
+        const lines = await this.readFileLines(file, state);
+
+        for (let i = defs.length - 1; i >= 0; i--) {
+            const def = defs[i];
+            if (def.line > line) continue;
+            const extent = lines ? findDefinitionExtent(lines, def.line, file) : null;
+            if (!extent || line <= extent.end) {
+                return def;
+            }
+        }
+        return null;
+    }
+
+    // Lists the definition tags (or reference tags) in a file, sorted by line
+    async listFileTags(file, references, state) {
+        const key = `${references ? 'r' : 'd'}:${file}`;
+        if (!state.fileTags.has(key)) {
+            const args = references ? ['-x', '-r', '-f', '--', file] : ['-x', '-f', '--', file];
+            const output = await state.project.runGlobalWithRecovery(args);
+            const tags = this.parseTagLines(output).sort((a, b) => a.line - b.line);
+            state.fileTags.set(key, tags);
+        }
+        return state.fileTags.get(key);
+    }
+
+    async readFileLines(file, state) {
+        if (!state.files.has(file)) {
+            try {
+                const content = await state.project.readFile(file);
+                state.files.set(file, content.split('\n'));
+            } catch (error) {
+                state.files.set(file, null);
+            }
+        }
+        return state.files.get(file);
+    }
+
+    // Parses one line of `global -x` output. GLOBAL prints it as
+    // "%-16s %4d %-16s %s", so the padding after the file name is removed
+    // to keep the code exactly as it appears in the source.
+    parseTagLine(line) {
+        const match = line.match(/^(\S+)\s+(\d+)\s(\S+)(.*)$/);
+        if (!match) return null;
+        const padding = ' '.repeat(Math.max(0, 16 - match[3].length) + 1);
+        const rest = match[4];
+        return {
+            symbol: match[1],
+            line: parseInt(match[2]),
+            file: match[3],
+            code: rest.startsWith(padding) ? rest.slice(padding.length) : rest.replace(/^\s/, '')
+        };
+    }
+
+    parseTagLines(output) {
+        return output.trim().split('\n')
+            .map(line => this.parseTagLine(line))
+            .filter(tag => tag);
+    }
+
+    // 1-based column of the first whole-word occurrence of `symbol` in `code`
+    findSymbolColumn(code, symbol) {
+        const escaped = escapeRegExp(symbol);
+        const match = new RegExp(`(^|[^\\w$])${escaped}(?![\\w$])`).exec(code);
+        return match ? match.index + match[1].length + 1 : null;
+    }
+
+    // 1-based column of the first match of a GLOBAL (POSIX extended) pattern.
+    // Most such patterns are valid JavaScript regexes too; others get null.
+    findPatternColumn(code, pattern, flags = '') {
+        try {
+            const match = new RegExp(pattern, flags).exec(code);
+            return match ? match.index + 1 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    formatCallGraphNode(node, indent) {
+        const pad = '  '.repeat(indent);
+        const name = node.symbol || '<file scope>';
+        const where = node.locations.length > 0
+            ? node.locations.map(l => l.line ? `${l.file}:${l.line}` : l.file).join(', ')
+            : 'definition not found';
+        let marker = '';
+        if (node.cycle) marker = ' [cycle]';
+        else if (node.seen) marker = ' [see above]';
+        const sites = node.sites && node.sites.length > 0
+            ? ` (at ${node.sites.map(s => `${s.file}:${s.line}`).join(', ')})`
+            : '';
+
+        const lines = [`${pad}${name} - ${where}${marker}${sites}`];
+        for (const child of node.children) {
+            lines.push(this.formatCallGraphNode(child, indent + 1));
+        }
+        return lines.join('\n');
+    }
+
+    async getFileDependencies(projects, file, direction = 'imports', depth = DEFAULT_CALL_GRAPH_DEPTH, options = {}) {
+        if (direction !== 'imports' && direction !== 'importers') {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid direction: ${direction} (expected 'imports' or 'importers')`);
+        }
+        const project = this.projectForFile(projects, file, 'get_file_dependencies');
+        const relative = this.projectRelativePath(project, file);
+        const maxDepth = Math.min(MAX_CALL_GRAPH_DEPTH, Math.max(1, parseInt(depth) || DEFAULT_CALL_GRAPH_DEPTH));
+        const paging = options.paging || parsePagingOptions();
+
+        try {
+            const output = await project.runGlobalWithRecovery(['-P']);
+            const index = buildFileIndex(output.trim().split('\n').filter(line => line.trim()));
+            if (!index.files.has(relative)) {
+                throw new Error(`${relative} is not in the index`);
+            }
+            const state = {
+                project,
+                direction,
+                index,
+                includeExternal: options.includeExternal !== false,
+                files: new Map(),
+                imports: new Map(),
+                expanded: new Set(),
+                paging,
+                rootPage: null,
+                nodeCount: 0,
+                truncated: false
+            };
+            const root = { file: relative, children: [] };
+            await this.expandDependencyNode(root, maxDepth, [relative], state);
+
+            const page = state.rootPage;
+            const graph = {
+                file: relative,
+                direction,
+                depth: maxDepth,
+                ...pageMetadata(page),
+                truncated: state.truncated || page.truncated,
+                root
+            };
+            let text;
+            if (options.dot) {
+                graph.dot = this.formatDependencyDot(root, direction);
+                text = graph.dot;
+            } else {
+                const heading = direction === 'imports'
+                    ? `Imports of ${relative} (depth ${maxDepth})`
+                    : `Files importing ${relative} (depth ${maxDepth})`;
+                text = `${heading}:\n\n` + this.formatDependencyNode(root, 0) +
+                    (state.truncated ? `\n\n(truncated after ${MAX_CALL_GRAPH_NODES} nodes)` : '') +
+                    formatPageFooter(page);
+            }
+            return {
+                content: [{ type: "text", text }],
+                structuredContent: graph
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error building dependency graph for ${relative}: ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // The dependency counterpart of expandCallGraphNode: same cycle, seen,
+    // node limit and paging rules, with files instead of symbols. External
+    // imports are leaves.
+    async expandDependencyNode(node, remaining, ancestors, state) {
+        if (remaining === 0) return;
+        state.expanded.add(node.file);
+
+        const found = state.direction === 'imports'
+            ? (await this.findFileImports(node.file, state)).filter(edge => edge.file || state.includeExternal)
+            : await this.findFileImporters(node.file, state);
+        const edgeFile = edge => edge.file || edge.specifier;
+
+        let edges;
+        if (ancestors.length === 1) {
+            state.rootPage = paginate(found, state.paging, edgeFile);
+            edges = state.rootPage.items;
+        } else {
+            edges = found.filter(edge => matchesPathFilters(edgeFile(edge), state.paging));
+        }
+
+        for (const edge of edges) {
+            if (state.nodeCount >= MAX_CALL_GRAPH_NODES) {
+                state.truncated = true;
+                return;
+            }
+            state.nodeCount++;
+
+            const child = { ...edge, children: [] };
+            node.children.push(child);
+            if (!child.file) continue;
+            if (ancestors.includes(child.file)) {
+                child.cycle = true;
+            } else if (state.expanded.has(child.file)) {
+                child.seen = true;
+            } else {
+                await this.expandDependencyNode(child, remaining - 1, [...ancestors, child.file], state);
+            }
+        }
+    }
+
+    // The files `file` imports, one edge per file with the first line that
+    // imports it. Imports that resolve to no project file have file null.
+    async findFileImports(file, state) {
+        if (!state.imports.has(file)) {
+            const lines = await this.readFileLines(file, state);
+            const edges = new Map();
+            for (const imported of lines ? extractImports(lines, file) : []) {
+                const targets = resolveImport(imported, file, state.index).filter(target => target !== file);
+                if (targets.length === 0) {
+                    const key = `\0${imported.specifier}`;
+                    if (!edges.has(key)) {
+                        edges.set(key, { file: null, specifier: imported.specifier, line: imported.line, external: true });
+                    }
+                }
+                for (const target of targets) {
+                    if (!edges.has(target)) {
+                        edges.set(target, { file: target, specifier: imported.specifier, line: imported.line });
+                    }
+                }
+            }
+            state.imports.set(file, [...edges.values()]);
+        }
+        return state.imports.get(file);
+    }
+
+    // The files importing `file`. Only files mentioning its module name
+    // (see importedName) are parsed, so finding them costs one `global -g`.
+    async findFileImporters(file, state) {
+        const output = await state.project.runGlobalWithRecovery(['-x', '-g', '--literal', '--', importedName(file)]);
+        const candidates = [...new Set(this.parseTagLines(output).map(tag => tag.file))];
+        const importers = [];
+        for (const candidate of candidates) {
+            if (candidate === file) continue;
+            const edge = (await this.findFileImports(candidate, state)).find(imported => imported.file === file);
+            if (edge) {
+                importers.push({ file: candidate, specifier: edge.specifier, line: edge.line });
+            }
+        }
+        return importers;
+    }
+
+    formatDependencyNode(node, indent) {
+        const pad = '  '.repeat(indent);
+        let label = node.file || `${node.specifier} (external)`;
+        if (node.line) label += ` - line ${node.line}` + (node.file ? `: ${node.specifier}` : '');
+        if (node.cycle) label += ' [cycle]';
+        else if (node.seen) label += ' [see above]';
+
+        const lines = [`${pad}${label}`];
+        for (const child of node.children) {
+            lines.push(this.formatDependencyNode(child, indent + 1));
+        }
+        return lines.join('\n');
+    }
+
+    // Graphviz source for a dependency tree. Edges always point from the
+    // importing file to the imported one; external modules are dashed.
+    formatDependencyDot(root, direction) {
+        const quote = name => JSON.stringify(name);
+        const edges = new Set();
+        const external = new Set();
+        const walk = (node) => {
+            for (const child of node.children) {
+                const target = child.file || child.specifier;
+                if (!child.file) external.add(target);
+                edges.add(direction === 'imports'
+                    ? `  ${quote(node.file)} -> ${quote(target)};`
+                    : `  ${quote(target)} -> ${quote(node.file)};`);
+                walk(child);
+            }
+        };
+        walk(root);
+        return [
+            'digraph dependencies {',
+            '  rankdir=LR;',
+            '  node [shape=box];',
+            `  ${quote(root.file)} [style=bold];`,
+            ...[...external].map(name => `  ${quote(name)} [style=dashed];`),
+            ...edges,
+            '}'
+        ].join('\n');
+    }
+
+    async listFileSymbols(project, files, options = {}) {
+        const paging = options.paging || { ...parsePagingOptions(), limit: DEFAULT_OUTLINE_FILES };
+        const patterns = (Array.isArray(files) ? files : [files]).filter(f => typeof f === 'string' && f.trim());
+        if (patterns.length === 0) {
+            throw new JsonRpcError(INVALID_PARAMS, 'files must contain at least one path or glob');
+        }
+
+        try {
+            const matched = await this.resolveFilePatterns(project, patterns);
+            const page = paginate(matched, paging, file => file);
+            if (page.total === 0) {
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `No indexed files match: ${patterns.join(', ')}`
+                        }
+                    ],
+                    structuredContent: { ...pageMetadata(page), files: [] }
+                };
+            }
+
+            const state = { project, files: new Map(), fileTags: new Map() };
+            const outlines = [];
+            for (const file of page.items) {
+                outlines.push({ file, symbols: await this.buildFileOutline(file, state) });
+            }
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: outlines.map(o =>
+                                `${o.file} (${this.countOutlineSymbols(o.symbols)} symbols):\n` +
+                                (o.symbols.length > 0 ? this.formatOutline(o.symbols, 1) : '  (no definitions)')
+                              ).join('\n\n') +
+                              formatPageFooter(page)
+                    }
+                ],
+                structuredContent: { ...pageMetadata(page), files: outlines }
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error listing symbols for '${patterns.join(', ')}': ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // Expands paths, directories and globs into indexed project files.
+    // Directories and globs are matched against GPATH (`global -P`).
+    async resolveFilePatterns(project, patterns) {
+        let indexed = null;
+        const result = [];
+
+        for (const pattern of patterns) {
+            let relative = path.isAbsolute(pattern) ? path.relative(project.dir, pattern) : pattern;
+            relative = relative.split(path.sep).join('/').replace(/^\.\//, '');
+            if (relative.startsWith('../')) {
+                throw new Error(`Path is outside the project: ${pattern}`);
+            }
+
+            let isDirectory = false;
+            if (!hasGlobChars(relative)) {
+                let stat = null;
+                try {
+                    stat = await fs.stat(path.join(project.dir, relative));
+                } catch (error) {
+                    // Missing files simply match nothing
+                }
+                if (!stat) continue;
+                if (!stat.isDirectory()) {
+                    result.push(relative);
+                    continue;
+                }
+                isDirectory = true;
+            }
+
+            if (indexed === null) {
+                const output = await project.runGlobalWithRecovery(['-P']);
+                indexed = output.trim().split('\n').filter(line => line.trim()).map(f => f.replace(/^\.\//, ''));
+            }
+            let glob = relative;
+            if (isDirectory) {
+                const dir = relative.replace(/\/$/, '');
+                glob = dir === '' || dir === '.' ? '**' : `${dir}/**`;
+            }
+            for (const file of indexed) {
+                if (matchesGlob(file, glob)) {
+                    result.push(file);
+                }
+            }
+        }
+        return [...new Set(result)];
+    }
+
+    async findFiles(projects, query, match, options = {}) {
+        const paging = options.paging || parsePagingOptions();
+        const mode = match || (hasGlobChars(query) ? 'glob' : 'fuzzy');
+        const spanning = projects.length > 1;
+
+        try {
+            const candidates = [];
+            for (const project of projects) {
+                const output = await project.runGlobalWithRecovery(['-P']);
+                for (const line of output.trim().split('\n')) {
+                    const file = line.trim().replace(/^\.\//, '');
+                    if (!file) continue;
+                    const score = this.scoreFileMatch(file, query, mode);
+                    if (score !== null) {
+                        candidates.push({ project, file, score });
+                    }
+                }
+            }
+            // Best match first; globs keep GLOBAL's path order
+            if (mode !== 'glob') {
+                candidates.sort((a, b) => b.score - a.score);
+            }
+            const page = paginate(candidates, paging);
+
+            if (page.total === 0) {
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `No indexed files match: ${query}`
+                        }
+                    ],
+                    structuredContent: { query, match: mode, ...pageMetadata(page), files: [] }
+                };
+            }
+
+            const counts = await this.countDefinitions(page.items);
+            const results = page.items.map(c => ({
+                ...(spanning ? { project: c.project.name } : {}),
+                file: c.file,
+                language: detectLanguage(c.file),
+                symbols: counts.get(c),
+                score: mode === 'glob' ? null : Math.round(c.score * 10) / 10
+            }));
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Files matching '${query}' (${page.total} found):\n\n` +
+                              results.map(r =>
+                                `${r.project ? `[${r.project}] ` : ''}${r.file} (${r.language || 'unknown language'}, ${r.symbols} symbols)`
+                              ).join('\n') +
+                              formatPageFooter(page)
+                    }
+                ],
+                structuredContent: { query, match: mode, ...pageMetadata(page), files: results }
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error finding files matching '${query}': ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // Higher is better; null means no match
+    scoreFileMatch(file, query, mode) {
+        switch (mode) {
+            case 'glob':
+                return matchesGlob(file, query) ? 0 : null;
+            case 'substring':
+                return file.toLowerCase().includes(query.toLowerCase()) ? fuzzyPathScore(query, file) : null;
+            default:
+                return fuzzyPathScore(query, file);
+        }
+    }
+
+    // Number of definitions in each of the given files, with one `global -f`
+    // run per project
+    async countDefinitions(entries) {
+        const counts = new Map(entries.map(entry => [entry, 0]));
+        const byProject = new Map();
+        for (const entry of entries) {
+            if (!byProject.has(entry.project)) byProject.set(entry.project, []);
+            byProject.get(entry.project).push(entry);
+        }
+        for (const [project, projectEntries] of byProject) {
+            const output = await project.runGlobalWithRecovery(['-x', '-f', '--', ...projectEntries.map(e => e.file)]);
+            const perFile = new Map();
+            for (const tag of this.parseTagLines(output)) {
+                perFile.set(tag.file, (perFile.get(tag.file) || 0) + 1);
+            }
+            projectEntries.forEach(entry => counts.set(entry, perFile.get(entry.file) || 0));
+        }
+        return counts;
+    }
+
+    // Lists the definitions touched by the changes in `gitScope`: those with
+    // a changed line anywhere in their extent (or on their definition line
+    // when the extent can't be worked out)
+    async changedSymbols(projects, gitScope, options = {}) {
+        const kinds = options.kinds || [];
+        const paging = options.paging || parsePagingOptions();
+        const spanning = projects.length > 1;
+
+        try {
+            const symbols = [];
+            for (const project of projects) {
+                const changes = await getChangedLines(project.dir, gitScope);
+                // Deleted files have no definitions left to report
+                const files = [];
+                for (const file of [...changes.keys()].sort()) {
+                    try {
+                        if ((await fs.stat(path.join(project.dir, file))).isFile()) files.push(file);
+                    } catch (error) {
+                        // Deleted
+                    }
+                }
+                if (files.length === 0) continue;
+
+                const output = await project.runGlobalWithRecovery(['-x', '-f', '--', ...files]);
+                const tags = this.parseTagLines(output).map(tag => ({ ...tag, project }));
+                const fileLines = await this.readMatchedFiles(tags);
+                for (const tag of tags) {
+                    const ranges = changes.get(tag.file.replace(/^\.\//, ''));
+                    if (!ranges) continue;
+                    const lines = fileLines.get(tag);
+                    const extent = lines && findDefinitionExtent(lines, tag.line, tag.file);
+                    const endLine = extent ? extent.end : tag.line;
+                    const changedLines = countChangedLines(ranges, tag.line, endLine);
+                    if (changedLines === 0) continue;
+                    const kind = guessDefinitionKind(tag.code, tag.symbol);
+                    if (kinds.length > 0 && !kinds.includes(kind)) continue;
+                    symbols.push({
+                        ...(spanning ? { project: project.name } : {}),
+                        symbol: tag.symbol,
+                        kind,
+                        file: tag.file,
+                        line: tag.line,
+                        endLine,
+                        change: changedLines === endLine - tag.line + 1 ? 'added' : 'modified',
+                        changedLines
+                    });
+                }
+            }
+            const page = paginate(symbols, paging);
+
+            if (page.total === 0) {
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `No changed symbols in ${gitScope.label}`
+                        }
+                    ],
+                    structuredContent: { gitScope: gitScope.value, ...pageMetadata(page), symbols: [] }
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Symbols changed in ${gitScope.label} (${page.total} found):\n\n` +
+                              page.items.map(s =>
+                                `${s.project ? `[${s.project}] ` : ''}${s.file}:${s.line}-${s.endLine} ${s.kind || 'symbol'} ${s.symbol}` +
+                                ` (${s.change}, ${s.changedLines} changed line${s.changedLines === 1 ? '' : 's'})`
+                              ).join('\n') +
+                              formatPageFooter(page)
+                    }
+                ],
+                structuredContent: { gitScope: gitScope.value, ...pageMetadata(page), symbols: page.items }
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error listing changed symbols in ${gitScope.label}: ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // Collects the occurrences of `symbol` that a rename to `newName` would
+    // edit. Lines come from GLOBAL's definitions, references and other
+    // symbols, and from a whole-word grep; each occurrence on them is then
+    // classified as code, comment or string to grade its confidence.
+    async planRename(projects, symbol, newName, options = {}) {
+        const paging = options.paging || parsePagingOptions();
+        for (const [name, value] of [['symbol', symbol], ['new_name', newName]]) {
+            if (!IDENTIFIER_PATTERN.test(value)) {
+                throw new JsonRpcError(INVALID_PARAMS, `${name} must be an identifier, got: ${value}`);
+            }
+        }
+        if (symbol === newName) {
+            throw new JsonRpcError(INVALID_PARAMS, 'new_name is the same as symbol');
+        }
+        const spanning = projects.length > 1;
+
+        try {
+            // Where each line was found, the strongest source winning
+            const sources = [
+                ['definition', ['-x', '--', symbol]],
+                ['reference', ['-x', '-r', '--', symbol]],
+                ['other-symbol', ['-x', '-s', '--', symbol]],
+                ['text', ['-x', '-g', '--', `\\<${escapeRegExp(symbol)}\\>`]]
+            ];
+            const found = new Map();
+            for (const [source, args] of sources) {
+                for (const tag of await this.collectTags(projects, args)) {
+                    const key = `${tag.project.name}\0${tag.file}\0${tag.line}`;
+                    if (!found.has(key)) found.set(key, { ...tag, source });
+                }
+            }
+
+            const tags = [...found.values()];
+            const fileLines = await this.readMatchedFiles(tags);
+            const byFile = new Map();
+            for (const tag of tags) {
+                const lines = fileLines.get(tag);
+                if (!lines) continue;
+                if (!byFile.has(lines)) byFile.set(lines, { project: tag.project, file: tag.file, tags: [] });
+                byFile.get(lines).tags.push(tag);
+            }
+
+            const token = new RegExp(`(^|[^\\w$])${escapeRegExp(symbol)}(?![\\w$])`, 'g');
+            const summary = { files: 0, edits: 0, high: 0, medium: 0, low: 0 };
+            const files = [];
+            for (const [lines, entry] of byFile) {
+                const classified = classifyFileLines(lines, entry.file, entry.tags.map(tag => tag.line));
+                const edits = [];
+                for (const tag of entry.tags.sort((a, b) => a.line - b.line)) {
+                    const code = lines[tag.line - 1];
+                    if (code === undefined) continue;
+                    const classes = classified && classified.get(tag.line);
+                    for (const match of code.matchAll(token)) {
+                        const column = match.index + match[1].length + 1;
+                        const region = classes ? classes[column - 1] : null;
+                        let kind = tag.source;
+                        let confidence = 'medium';
+                        if (region === 'comment' || region === 'string') {
+                            kind = region;
+                            confidence = 'low';
+                        } else if (tag.source === 'definition' || tag.source === 'reference') {
+                            confidence = 'high';
+                        } else if (tag.source === 'text' && !region) {
+                            // A language we can't scan: may be anything
+                            confidence = 'low';
+                        }
+                        edits.push({
+                            line: tag.line,
+                            column,
+                            endColumn: column + symbol.length,
+                            oldText: symbol,
+                            newText: newName,
+                            kind,
+                            confidence,
+                            code
+                        });
+                        summary.edits++;
+                        summary[confidence]++;
+                    }
+                }
+                if (edits.length === 0) continue;
+                summary.files++;
+                files.push({
+                    ...(spanning ? { project: entry.project.name } : {}),
+                    file: entry.file,
+                    edits
+                });
+            }
+            files.sort((a, b) => (a.project || '').localeCompare(b.project || '') || a.file.localeCompare(b.file));
+            const page = paginate(files, paging);
+
+            const collisions = (await this.collectTags(projects, ['-x', '--', newName])).map(tag => ({
+                ...(spanning ? { project: tag.project.name } : {}),
+                file: tag.file,
+                line: tag.line,
+                code: tag.code
+            }));
+
+            const lines = [`Rename plan: ${symbol} -> ${newName} (preview only; no files were changed)`];
+            lines.push(summary.edits === 0
+                ? `No occurrences of ${symbol} found`
+                : `${summary.edits} edits in ${summary.files} files: ${summary.high} high, ${summary.medium} medium, ${summary.low} low confidence`);
+            for (const collision of collisions) {
+                lines.push(`Collision: ${newName} is already defined at ${collision.project ? `[${collision.project}] ` : ''}${collision.file}:${collision.line}: ${collision.code.trim()}`);
+            }
+            for (const file of page.items) {
+                lines.push('', `${file.project ? `[${file.project}] ` : ''}${file.file}:`);
+                for (const edit of file.edits) {
+                    lines.push(`  ${edit.line}:${edit.column}-${edit.endColumn} [${edit.confidence}] ${edit.kind}: ${edit.code.trim()}`);
+                }
+            }
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: lines.join('\n') + formatPageFooter(page)
+                    }
+                ],
+                structuredContent: { symbol, newName, collisions, summary, ...pageMetadata(page), files: page.items }
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error planning rename of '${symbol}': ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    async findUnusedSymbols(projects, options = {}) {
+        const kinds = options.kinds || [];
+        const paging = options.paging || parsePagingOptions();
+        const entryPoints = (options.entryPoints || DEFAULT_ENTRY_POINTS).map(name => globToRegExp(name));
+        const spanning = projects.length > 1;
+        let namePattern = null;
+        if (options.namePattern !== undefined) {
+            try {
+                checkPattern(options.namePattern, 'name_pattern');
+                namePattern = new RegExp(options.namePattern);
+            } catch (error) {
+                throw new JsonRpcError(INVALID_PARAMS, error.message);
+            }
+        }
+
+        try {
+            const symbols = [];
+            const skipped = { entryPoints: 0, exported: 0, tests: 0 };
+            let checked = 0;
+            for (const project of projects) {
+                // Three passes over the whole index (definitions, references
+                // and other symbols) rather than a query per symbol. Their
+                // output is streamed, keeping only the definitions that pass
+                // the filters and which of their names are used.
+                const definitions = [];
+                await project.scanGlobal(['-x', '--', '.*'], (line) => {
+                    const tag = this.parseTagLine(line);
+                    if (!tag || !matchesPathFilters(tag.file, paging)) return;
+                    if (namePattern && !namePattern.test(tag.symbol)) return;
+                    const kind = guessDefinitionKind(tag.code, tag.symbol);
+                    if (kinds.length > 0 && !kinds.includes(kind)) return;
+                    definitions.push({ ...tag, kind });
+                });
+                const names = new Set(definitions.map(tag => tag.symbol));
+                const used = new Set();
+                for (const args of [['-x', '-r', '--', '.*'], ['-x', '-s', '--', '.*']]) {
+                    await project.scanGlobal(args, (line) => {
+                        const symbol = line.slice(0, line.search(/\s|$/));
+                        if (names.has(symbol)) used.add(symbol);
+                    });
+                }
+
+                checked += definitions.length;
+                for (const tag of definitions) {
+                    if (used.has(tag.symbol)) continue;
+                    if (entryPoints.some(re => re.test(tag.symbol))) {
+                        skipped.entryPoints++;
+                    } else if (!options.includeTests && relevanceRank(tag.file) === 1) {
+                        skipped.tests++;
+                    } else if (!options.includeExported && looksExported(tag.code, tag.symbol, tag.file)) {
+                        skipped.exported++;
+                    } else {
+                        symbols.push({
+                            ...(spanning ? { project: project.name } : {}),
+                            symbol: tag.symbol,
+                            kind: tag.kind,
+                            file: tag.file,
+                            line: tag.line,
+                            code: tag.code
+                        });
+                    }
+                }
+            }
+            const page = paginate(symbols, paging);
+            const skippedTotal = skipped.entryPoints + skipped.exported + skipped.tests;
+            const summary = `${checked} definitions checked` + (skippedTotal > 0
+                ? `; ${skippedTotal} unreferenced ones left out (${skipped.entryPoints} entry points, ${skipped.exported} exported, ${skipped.tests} in tests)`
+                : '');
+            const structured = { checked, skipped, ...pageMetadata(page), symbols: page.items };
+
+            if (page.total === 0) {
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `No unused symbols found (${summary})`
+                        }
+                    ],
+                    structuredContent: structured
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Unused symbols (${page.total} found, ${summary}):\n\n` +
+                              page.items.map(s =>
+                                `${s.project ? `[${s.project}] ` : ''}${s.file}:${s.line} ${s.kind || 'symbol'} ${s.symbol}: ${s.code.trim()}`
+                              ).join('\n') +
+                              formatPageFooter(page)
+                    }
+                ],
+                structuredContent: structured
+            };
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Error finding unused symbols: ${error.message}`
+                    }
+                ],
+                isError: true
+            };
+        }
+    }
+
+    // Lists the definitions in a file nested by extent
+    async buildFileOutline(file, state) {
+        const defs = await this.listFileTags(file, false, state);
+        const lines = await this.readFileLines(file, state);
+        return buildOutline(defs, lines, file);
+    }
+
+    countOutlineSymbols(symbols) {
+        return symbols.reduce((count, s) => count + 1 + this.countOutlineSymbols(s.children), 0);
+    }
+
+    formatOutline(symbols, indent) {
+        const pad = '  '.repeat(indent);
+        return symbols.map(s => {
+            const range = s.endLine && s.endLine !== s.line ? `${s.line}-${s.endLine}` : `${s.line}`;
+            const kind = s.kind ? ` [${s.kind}]` : '';
+            const line = `${pad}${s.symbol}${kind} :${range}`;
+            return s.children.length > 0
+                ? `${line}\n${this.formatOutline(s.children, indent + 1)}`
+                : line;
+        }).join('\n');
+    }
+
+    setLogLevel(params, session) {
+        if (!LOG_LEVELS.includes(params.level)) {
+            throw new JsonRpcError(INVALID_PARAMS, `Invalid log level: ${params.level}`);
+        }
+        this.sessionState(session).logLevel = params.level;
+        return {};
+    }
+
+    // Sends an MCP log message (notifications/message) to every client whose
+    // log level is at or below `level`
+    log(level, message) {
+        const notification = {
+            jsonrpc: "2.0",
+            method: 'notifications/message',
+            params: { level, logger: 'gtags-mcp', data: message }
+        };
+        for (const session of this.transport.sessions) {
+            const { logLevel } = this.sessionState(session);
+            if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(logLevel)) {
+                session.notify(notification);
+            }
+        }
+    }
+
+    // Progress is only reported for requests that carried a progress token
+    sendProgress(progressToken, progress, total, message) {
+        if (progressToken === undefined || progressToken === null) return;
+        const params = { progressToken, progress };
+        if (total) params.total = Math.max(total, progress);
+        if (message) params.message = message;
+        this.sendNotification('notifications/progress', params);
+    }
+
+    // Notifications sent while handling a request go to the client that made
+    // it (on the request's own stream where the transport has one)
+    sendNotification(method, params) {
+        const notification = { jsonrpc: "2.0", method, params };
+        const context = requestContext.getStore();
+        if (context && context.channel) {
+            context.channel.send(notification);
+        } else {
+            this.transport.sessions.forEach(session => session.notify(notification));
+        }
+    }
+
+    sendResponse(channel, response) {
+        channel.send(response);
+    }
+
+    sendError(channel, error) {
+        channel.send(error);
+    }
+
+    async start() {
+        for (const project of this.projects.values()) {
+            project.startIndexUpdates();
+            this.buildIndexInBackground(project);
+        }
+        // Library indexes are built once, ahead of the first query needing them
+        for (const library of this.libraries.values()) {
+            library.ensureIndex().catch((error) => {
+                this.log('error', `Failed to index library ${library.dir}: ${error.message}`);
+            });
+        }
+        await this.transport.start({
+            onMessage: (message, channel) => this.handleMessage(message, channel),
+            onSessionClosed: (session) => this.closeSession(session)
+        });
+        // Server is ready to receive messages
+        process.stderr.write(`GtagsMCPServer started (${this.transport.describe()})\n`);
+        this.reportStartupProblems().catch((error) => {
+            process.stderr.write(`Startup checks failed: ${error.message}\n`);
+        });
     }
 }
 
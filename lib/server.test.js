@@ -0,0 +1,403 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const GtagsMCPServer = require('./server.js');
+const { INVALID_PARAMS, RESOURCE_NOT_FOUND } = require('./jsonrpc.js');
+const { MAX_ARGUMENT_LENGTH } = require('./sanitize.js');
+
+// A server on a temporary project holding `files`. Its fake `global` lists
+// the `indexed` files (all of them by default) and answers tag queries from
+// `tags`: [symbol, file, line, type] with type 'def', 'ref' or 'sym' (the
+// kinds of tag -x, -x -r and -x -s print).
+function createServer(t, files, index = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    writeFiles(dir, files);
+    const server = new GtagsMCPServer([dir]);
+    const [project] = server.projects.values();
+    const queries = fakeIndex(project, files, index);
+    return { server, dir, project, queries };
+}
+
+function writeFiles(dir, files) {
+    for (const [file, text] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), text);
+    }
+}
+
+// Answers the project's `global` runs with fakeGlobal. Returns the list the
+// arguments of each run are recorded in.
+function fakeIndex(project, files, { indexed = Object.keys(files), tags = [] } = {}) {
+    const queries = [];
+    project.runGlobalWithRecovery = async (args) => {
+        queries.push(args);
+        return fakeGlobal(files, indexed, tags, args);
+    };
+    project.scanGlobal = async (args, onLine) => {
+        queries.push(args);
+        fakeGlobal(files, indexed, tags, args).split('\n').filter(line => line).forEach(onLine);
+    };
+    return queries;
+}
+
+function fakeGlobal(files, indexed, tags, args) {
+    const flags = new Set();
+    const operands = [];
+    let scope = null;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--') {
+            operands.push(...args.slice(i + 1));
+            break;
+        }
+        if (args[i] === '-S') scope = args[++i];
+        else if (args[i] === '-e') operands.push(args[++i]);
+        else flags.add(args[i]);
+    }
+    const tagLine = (symbol, file, line) => `${symbol.padEnd(16)} ${String(line).padStart(4)} ${file.padEnd(16)} ${files[file].split('\n')[line - 1]}\n`;
+    if (flags.has('-P')) return indexed.map(file => `${file}\n`).join('');
+
+    if (flags.has('-c')) {
+        const names = tags.filter(tag => tag[3] === 'def' && tag[0].startsWith(operands[0] || '')).map(tag => tag[0]);
+        return [...new Set(names)].sort().map(name => `${name}\n`).join('');
+    }
+    const ignoreCase = flags.has('-i') ? 'i' : '';
+    if (flags.has('-g')) {
+        const source = flags.has('--literal') ? operands[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : operands[0].replace(/\\[<>]/g, '\\b');
+        const pattern = new RegExp(source, ignoreCase);
+        return indexed
+            .filter(file => !scope || file.startsWith(`${scope}/`))
+            .flatMap(file => files[file].split('\n').map((code, i) => pattern.test(code) ? tagLine(operands[0], file, i + 1) : ''))
+            .join('');
+    }
+    const type = flags.has('-r') ? 'ref' : flags.has('-s') ? 'sym' : 'def';
+    const pattern = new RegExp(`^(?:${operands[0]})$`, ignoreCase);
+    return tags
+        .filter(([symbol, file, , tagType]) => tagType === type &&
+            (flags.has('-f') ? operands.includes(file) : pattern.test(symbol)))
+        .sort((a, b) => a[1].localeCompare(b[1]) || a[2] - b[2])
+        .map(([symbol, file, line]) => tagLine(symbol, file, line))
+        .join('');
+}
+
+// Checks `value` against the parts of JSON Schema the output schemas use
+function assertMatchesSchema(value, schema, where = 'result') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = value === null ? 'null' : Array.isArray(value) ? 'array'
+        : Number.isInteger(value) ? 'integer' : typeof value;
+    if (schema.type !== undefined) {
+        assert.ok(types.includes(actual) || (actual === 'integer' && types.includes('number')),
+            `${where} is ${actual}, expected ${types.join(' or ')}`);
+    }
+    if (schema.enum) assert.ok(schema.enum.includes(value), `${where} is ${value}, expected one of ${schema.enum.join(', ')}`);
+    if (actual === 'object') {
+        for (const key of schema.required || []) assert.ok(key in value, `${where}.${key} is missing`);
+        for (const [key, property] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) assertMatchesSchema(value[key], property, `${where}.${key}`);
+        }
+    }
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => assertMatchesSchema(item, schema.items, `${where}[${i}]`));
+    }
+}
+
+// Calls a tool and checks its structuredContent against its outputSchema
+async function callTool(server, name, args) {
+    const result = await server.callTool({ name, arguments: args });
+    assert.ok(!result.isError, result.content[0].text);
+    const tool = server.listTools().tools.find(t => t.name === name);
+    assertMatchesSchema(result.structuredContent, tool.outputSchema);
+    return result;
+}
+
+test('resources are read from indexed files only', async (t) => {
+    const { server, dir } = createServer(t, {
+        'src/main.c': 'int main;\n',
+        '..notes.c': 'int notes;\n',
+        '.env': 'SECRET=1\n',
+        '.git/config': '[core]\n'
+    }, { indexed: ['src/main.c', '..notes.c'] });
+    const read = file => server.readResource({ uri: pathToFileURL(path.join(dir, file)).href });
+
+    assert.strictEqual((await read('src/main.c')).contents[0].text, 'int main;\n');
+    // Names starting with `..` are inside the project
+    assert.strictEqual((await read('..notes.c')).contents[0].text, 'int notes;\n');
+    for (const file of ['.env', '.git/config', '../outside.c']) {
+        await assert.rejects(read(file), { code: RESOURCE_NOT_FOUND });
+    }
+});
+
+test('large files are read by line range only', async (t) => {
+    const lines = Array.from({ length: 20000 }, (_, i) => `int value_${i} = ${i}; /* ${'x'.repeat(40)} */`);
+    const { server, dir } = createServer(t, { 'big.c': lines.join('\n') + '\n' });
+    const uri = pathToFileURL(path.join(dir, 'big.c')).href;
+    await assert.rejects(server.readResource({ uri }), { code: INVALID_PARAMS, message: /^big\.c is \d+ bytes, more than the 1048576 a resource read returns/ });
+    assert.strictEqual((await server.readResource({ uri: `${uri}#L3-L4` })).contents[0].text, lines.slice(2, 4).join('\n'));
+    await assert.rejects(server.readResource({ uri: `${uri}#L1-L20000` }), { code: INVALID_PARAMS, message: /^The requested lines are \d+ bytes/ });
+});
+
+test('symbol resources check the symbol like the tools do', async (t) => {
+    const { server, queries } = createServer(t, {});
+    const read = symbol => server.readResource({ uri: `gtags://definition/${symbol}` });
+    await assert.rejects(read('a%0Ab'), { code: INVALID_PARAMS, message: 'Invalid resource definition URI: Symbol must not contain control characters' });
+    await assert.rejects(read('x'.repeat(MAX_ARGUMENT_LENGTH + 1)), { code: INVALID_PARAMS, message: /Symbol is too long/ });
+    await assert.rejects(read('%E0%A4%A'), { code: INVALID_PARAMS });
+    assert.deepStrictEqual(queries, []);
+});
+
+test('absolute paths pick the innermost project containing them', (t) => {
+    const { server, dir } = createServer(t, {});
+    const [project] = server.projects.values();
+    const nested = server.addProject(path.join(dir, 'vendor'));
+    const projects = [project, nested];
+    assert.strictEqual(server.projectForFile(projects, path.join(dir, '..notes.c'), 'tool'), project);
+    assert.strictEqual(server.projectForFile(projects, path.join(dir, 'vendor', 'lib.c'), 'tool'), nested);
+});
+
+test('symbol_at_position reports enclosing definitions without a kind', async (t) => {
+    const { server } = createServer(t, { 'config.py': 'LIMIT = compute(10,\n              20)\n' }, {
+        tags: [['LIMIT', 'config.py', 1, 'def'], ['compute', 'config.py', 1, 'sym']]
+    });
+    const result = await callTool(server, 'symbol_at_position', { file: 'config.py', line: 2, column: 15 });
+    assert.deepStrictEqual(result.structuredContent.enclosing, { symbol: 'LIMIT', kind: null, line: 1, endLine: 2 });
+    assert.match(result.content[0].text, /^Enclosing definition: LIMIT \(lines 1-2\)$/m);
+});
+
+test('find_unused_symbols reports definitions nothing references', async (t) => {
+    const files = {
+        'src/util.c': 'static int helper(void) { return 1; }\nstatic int unused_helper(void) { return 2; }\nint main(void) { return helper(); }\n',
+        'src/legacy.c': 'static void legacy_dump(void) {}\n',
+        'tests/util_test.c': 'static void test_case(void) {}\n'
+    };
+    const { server } = createServer(t, files, {
+        tags: [
+            ['helper', 'src/util.c', 1, 'def'],
+            ['unused_helper', 'src/util.c', 2, 'def'],
+            ['main', 'src/util.c', 3, 'def'],
+            ['helper', 'src/util.c', 3, 'ref'],
+            ['legacy_dump', 'src/legacy.c', 1, 'def'],
+            ['test_case', 'tests/util_test.c', 1, 'def']
+        ]
+    });
+    const unused = async (args) => {
+        const { structuredContent } = await callTool(server, 'find_unused_symbols', args);
+        return structuredContent;
+    };
+
+    const all = await unused({});
+    assert.deepStrictEqual(all.symbols.map(s => [s.symbol, s.kind, s.file, s.line]), [
+        ['legacy_dump', 'function', 'src/legacy.c', 1],
+        ['unused_helper', 'function', 'src/util.c', 2]
+    ]);
+    assert.strictEqual(all.checked, 5);
+    assert.deepStrictEqual(all.skipped, { entryPoints: 1, exported: 0, tests: 1 });
+
+    assert.deepStrictEqual((await unused({ include_tests: true })).symbols.map(s => s.symbol), ['legacy_dump', 'unused_helper', 'test_case']);
+    assert.deepStrictEqual((await unused({ entry_points: ['unused_*'] })).symbols.map(s => s.symbol), ['legacy_dump', 'main']);
+    const filtered = await unused({ include: ['src/util.c'] });
+    assert.deepStrictEqual([filtered.checked, filtered.symbols.map(s => s.symbol)], [3, ['unused_helper']]);
+    assert.deepStrictEqual((await unused({ name_pattern: '^legacy_' })).symbols.map(s => s.symbol), ['legacy_dump']);
+    const result = await server.callTool({ name: 'find_unused_symbols', arguments: { kind: ['variable'] } });
+    assert.match(result.content[0].text, /^No unused symbols found \(0 definitions checked\)$/);
+});
+
+// A server on several roots below a temporary directory: `roots` maps each
+// root's path relative to it to the files and index of the root
+function createMultiRootServer(t, roots) {
+    const base = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-test-'));
+    t.after(() => fs.rmSync(base, { recursive: true, force: true }));
+    const dirs = Object.keys(roots).map(root => path.join(base, root));
+    for (const [root, { files }] of Object.entries(roots)) writeFiles(path.join(base, root), files);
+    const server = new GtagsMCPServer(dirs);
+    const projects = [...server.projects.values()];
+    const queries = Object.values(roots).map(({ files, ...index }, i) => fakeIndex(projects[i], files, index));
+    return { server, base, projects, queries };
+}
+
+test('roots with the same directory name get distinct project names', async (t) => {
+    const { server, base, projects } = createMultiRootServer(t, { 'one/app': { files: {} }, 'two/app': { files: {} } });
+    assert.deepStrictEqual(projects.map(project => project.name), ['app', 'app-2']);
+    assert.deepStrictEqual(await server.resolveProjects('app-2'), [projects[1]]);
+    assert.deepStrictEqual(await server.resolveProjects(path.join(base, 'one', 'app')), [projects[0]]);
+    assert.deepStrictEqual(await server.resolveProjects(), projects);
+    await assert.rejects(server.resolveProjects('web'), { code: INVALID_PARAMS, message: 'Unknown project: web (available: app, app-2)' });
+});
+
+test('queries run on every root unless a project is named', async (t) => {
+    const { server, queries } = createMultiRootServer(t, {
+        'one/app': { files: { 'main.c': 'int run(void);\n' }, tags: [['run', 'main.c', 1, 'def']] },
+        'two/app': { files: { 'run.c': 'int run(void) { return 0; }\n' }, tags: [['run', 'run.c', 1, 'def']] }
+    });
+    const all = await callTool(server, 'get_definition', { symbol: 'run' });
+    assert.deepStrictEqual(all.structuredContent.definitions.map(d => [d.project, d.file]), [['app', 'main.c'], ['app-2', 'run.c']]);
+    assert.match(all.content[0].text, /^Project: app\nFile: main\.c:1$/m);
+    assert.match(all.content[0].text, /^Project: app-2\nFile: run\.c:1$/m);
+
+    queries.forEach(list => list.splice(0));
+    const named = await callTool(server, 'get_definition', { symbol: 'run', project: 'app-2' });
+    assert.deepStrictEqual(named.structuredContent.definitions.map(d => d.file), ['run.c']);
+    assert.deepStrictEqual(queries[0], []);
+
+    // Call graphs don't cross roots
+    await assert.rejects(server.callTool({ name: 'get_call_graph', arguments: { symbol: 'run' } }),
+        { code: INVALID_PARAMS, message: /get_call_graph works on a single project; pass 'project' \(one of: app, app-2\)/ });
+});
+
+test('files in nested roots belong to the innermost root', async (t) => {
+    const { server, base, queries } = createMultiRootServer(t, {
+        'app': { files: { 'main.c': 'int main(void) { return helper(); }\n' }, tags: [['main', 'main.c', 1, 'def']] },
+        'app/vendor': { files: { 'helper.c': 'int helper(void) { return 0; }\n' }, tags: [['helper', 'helper.c', 1, 'def']] }
+    });
+    const result = await callTool(server, 'symbol_at_position', { file: path.join(base, 'app', 'vendor', 'helper.c'), line: 1, column: 5 });
+    assert.strictEqual(result.structuredContent.file, 'helper.c');
+    assert.strictEqual(result.structuredContent.symbol, 'helper');
+    assert.strictEqual(result.structuredContent.isDefinition, true);
+    assert.deepStrictEqual(queries[0], []);
+});
+
+// Calls between five C functions; ping and pong call each other
+const CALLS = {
+    files: {
+        'calls.c': [
+            'int leaf(void) { return 1; }',
+            'int mid(void) { return leaf() + leaf(); }',
+            'int top(void) { return mid() + leaf(); }',
+            'int ping(int n) { return n ? pong(n - 1) : 0; }',
+            'int pong(int n) { return ping(n); }',
+            ''
+        ].join('\n')
+    },
+    tags: [
+        ['leaf', 'calls.c', 1, 'def'], ['mid', 'calls.c', 2, 'def'], ['top', 'calls.c', 3, 'def'],
+        ['ping', 'calls.c', 4, 'def'], ['pong', 'calls.c', 5, 'def'],
+        ['leaf', 'calls.c', 2, 'ref'], ['mid', 'calls.c', 3, 'ref'], ['leaf', 'calls.c', 3, 'ref'],
+        ['pong', 'calls.c', 4, 'ref'], ['ping', 'calls.c', 5, 'ref']
+    ]
+};
+
+// A call graph node as [symbol, marks, children]
+function callTree(node) {
+    const marks = [node.cycle && 'cycle', node.seen && 'seen'].filter(mark => mark).join(',');
+    return [node.symbol, marks, node.children.map(callTree)];
+}
+
+test('get_call_graph stops at the requested depth', async (t) => {
+    const { server } = createServer(t, CALLS.files, CALLS);
+    const shallow = await callTool(server, 'get_call_graph', { symbol: 'leaf', direction: 'callers', depth: 1 });
+    assert.deepStrictEqual(callTree(shallow.structuredContent.root), ['leaf', '', [['mid', '', []], ['top', '', []]]]);
+    assert.deepStrictEqual(shallow.structuredContent.root.children[0].sites, [{ file: 'calls.c', line: 2 }]);
+    assert.strictEqual(shallow.structuredContent.depth, 1);
+
+    const deep = await callTool(server, 'get_call_graph', { symbol: 'leaf', direction: 'callers', depth: 2 });
+    assert.deepStrictEqual(callTree(deep.structuredContent.root), ['leaf', '', [['mid', '', [['top', '', []]]], ['top', '', []]]]);
+});
+
+test('get_call_graph marks cycles and expands each symbol once', async (t) => {
+    const { server } = createServer(t, CALLS.files, CALLS);
+    const cycle = await callTool(server, 'get_call_graph', { symbol: 'ping', direction: 'callees', depth: 5 });
+    assert.deepStrictEqual(callTree(cycle.structuredContent.root), ['ping', '', [['pong', '', [['ping', 'cycle', []]]]]]);
+
+    const callers = await callTool(server, 'get_call_graph', { symbol: 'leaf', direction: 'callers', depth: 3 });
+    assert.deepStrictEqual(callTree(callers.structuredContent.root), ['leaf', '', [['mid', '', [['top', '', []]]], ['top', 'seen', []]]]);
+    assert.match(cycle.content[0].text, /^    ping - calls\.c:4 \[cycle\] \(at calls\.c:5\)$/m);
+    assert.match(callers.content[0].text, /^  top - calls\.c:3 \[see above\] \(at calls\.c:3\)$/m);
+});
+
+test('every tool returns structuredContent matching its outputSchema in each format', async (t) => {
+    const files = {
+        ...CALLS.files,
+        'calls.h': 'int leaf(void);\n',
+        'main.c': '#include "calls.h"\n\nint main(void) { return leaf(); }\n'
+    };
+    const tags = [...CALLS.tags, ['main', 'main.c', 3, 'def'], ['leaf', 'main.c', 3, 'ref'], ['leaf', 'calls.h', 1, 'def']];
+    const { server, dir, project } = createServer(t, files, { tags });
+    execFileSync('git', ['init', '-q'], { cwd: dir });
+    // Index builds and updates need GNU GLOBAL
+    project.rebuildGtagsDatabase = async () => {};
+    project.updateFile = async () => {};
+    const calls = {
+        get_definition: { symbol: 'leaf', include_body: true },
+        get_references: { symbol: 'leaf' },
+        symbol_at_position: { file: 'main.c', line: 3, column: 25 },
+        definition_at_position: { file: 'main.c', line: 3, column: 25 },
+        list_symbols_with_prefix: { prefix: 'p' },
+        search_symbols: { query: 'pn' },
+        search_pattern: { pattern: 'return', context_lines: 1 },
+        get_call_graph: { symbol: 'leaf' },
+        get_file_dependencies: { file: 'main.c' },
+        list_file_symbols: { files: ['calls.c'] },
+        find_files: { query: 'calls' },
+        plan_rename: { symbol: 'leaf', new_name: 'base' },
+        changed_symbols: {},
+        find_unused_symbols: {},
+        index_status: {},
+        diagnose: {},
+        reindex: { paths: ['main.c'] }
+    };
+    const tools = server.listTools().tools;
+    assert.deepStrictEqual(tools.map(tool => tool.name).sort(), Object.keys(calls).sort());
+
+    for (const tool of tools) {
+        const text = await server.callTool({ name: tool.name, arguments: calls[tool.name] });
+        assert.ok(!text.isError, `${tool.name}: ${text.content[0].text}`);
+        assertMatchesSchema(text.structuredContent, tool.outputSchema, tool.name);
+        assert.notStrictEqual(text.content[0].text, JSON.stringify(text.structuredContent), tool.name);
+
+        // Calls are compared with their own structuredContent, since some
+        // report how long they took
+        const json = await server.callTool({ name: tool.name, arguments: { ...calls[tool.name], format: 'json' } });
+        assertMatchesSchema(json.structuredContent, tool.outputSchema, tool.name);
+        assert.strictEqual(json.content.length, 1, tool.name);
+        assert.deepStrictEqual(JSON.parse(json.content[0].text), json.structuredContent, tool.name);
+
+        const both = await server.callTool({ name: tool.name, arguments: { ...calls[tool.name], format: 'both' } });
+        assertMatchesSchema(both.structuredContent, tool.outputSchema, tool.name);
+        assert.strictEqual(both.content.length, text.content.length + 1, tool.name);
+        assert.deepStrictEqual(JSON.parse(both.content.at(-1).text), both.structuredContent, tool.name);
+    }
+});
+
+test('plan_rename rates each occurrence and reports collisions', async (t) => {
+    const files = {
+        'cache.c': [
+            '/* lookup: find an entry */',
+            'int lookup(int key) { return key; }',
+            'int get(int key) { return lookup(key); }',
+            'const char *name = "lookup";',
+            '#define FIND lookup',
+            ''
+        ].join('\n'),
+        'other.c': 'int find(int key) { return key; }\n',
+        'notes.txt': 'see lookup\n'
+    };
+    const { server } = createServer(t, files, {
+        tags: [
+            ['lookup', 'cache.c', 2, 'def'], ['get', 'cache.c', 3, 'def'], ['lookup', 'cache.c', 3, 'ref'],
+            ['lookup', 'cache.c', 5, 'sym'], ['find', 'other.c', 1, 'def']
+        ]
+    });
+    const { structuredContent: plan, content } = await callTool(server, 'plan_rename', { symbol: 'lookup', new_name: 'find' });
+    const edits = plan.files.map(file => [file.file, file.edits.map(edit => [edit.line, edit.column, edit.kind, edit.confidence])]);
+    assert.deepStrictEqual(edits, [
+        ['cache.c', [
+            [1, 4, 'comment', 'low'],
+            [2, 5, 'definition', 'high'],
+            [3, 27, 'reference', 'high'],
+            [4, 21, 'string', 'low'],
+            [5, 14, 'other-symbol', 'medium']
+        ]],
+        ['notes.txt', [[1, 5, 'text', 'low']]]
+    ]);
+    assert.deepStrictEqual(plan.summary, { files: 2, edits: 6, high: 2, medium: 1, low: 3 });
+    assert.deepStrictEqual(plan.collisions, [{ file: 'other.c', line: 1, code: 'int find(int key) { return key; }' }]);
+    assert.match(content[0].text, /^Collision: find is already defined at other\.c:1: /m);
+
+    const clean = await callTool(server, 'plan_rename', { symbol: 'lookup', new_name: 'search' });
+    assert.deepStrictEqual(clean.structuredContent.collisions, []);
+    await assert.rejects(server.callTool({ name: 'plan_rename', arguments: { symbol: 'lookup', new_name: 'not-a-name' } }),
+        { code: INVALID_PARAMS, message: 'new_name must be an identifier, got: not-a-name' });
+});
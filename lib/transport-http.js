@@ -0,0 +1,366 @@
+const http = require('http');
+const crypto = require('crypto');
+const { PARSE_ERROR, INVALID_REQUEST } = require('./jsonrpc.js');
+
+// Largest request body we accept
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Comment lines sent on idle SSE streams so proxies don't close them
+const KEEPALIVE_INTERVAL_MS = 25000;
+// Sessions without open streams or running requests are closed after this
+// long, since clients that go away without DELETE would otherwise pile up
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+// Beyond this many sessions the least recently used one is closed
+const MAX_SESSIONS = 100;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+// MCP over HTTP. Serves the Streamable HTTP transport on `/mcp` and the
+// older HTTP+SSE transport on `/sse` + `/messages`. Every client gets its
+// own session; all sessions share one server and therefore one index.
+class HttpTransport {
+    constructor(options = {}) {
+        this.port = options.port === undefined ? 3000 : options.port;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token || null;
+        this.allowedOrigins = options.allowedOrigins || [];
+        this.endpoint = options.endpoint || '/mcp';
+        this.sessionIdleMs = options.sessionIdleMs || SESSION_IDLE_MS;
+        this.maxSessions = options.maxSessions || MAX_SESSIONS;
+        this.sessionMap = new Map();
+        this.server = null;
+        this.handler = null;
+        this.keepalive = null;
+    }
+
+    get sessions() {
+        return [...this.sessionMap.values()];
+    }
+
+    start(handler) {
+        this.handler = handler;
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch((error) => {
+                if (!res.headersSent) {
+                    this.sendJson(res, 500, { error: error.message });
+                } else {
+                    res.end();
+                }
+            });
+        });
+        this.keepalive = setInterval(() => {
+            this.closeIdleSessions();
+            for (const session of this.sessionMap.values()) {
+                for (const stream of session.streams) stream.write(': keepalive\n\n');
+            }
+        }, KEEPALIVE_INTERVAL_MS);
+        this.keepalive.unref();
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                // Report the real port when listening on port 0
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+    }
+
+    describe() {
+        return `http://${this.host.includes(':') ? `[${this.host}]` : this.host}:${this.port}${this.endpoint}`;
+    }
+
+    close() {
+        clearInterval(this.keepalive);
+        for (const session of this.sessionMap.values()) {
+            this.closeSession(session);
+        }
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            if (this.server.closeAllConnections) this.server.closeAllConnections();
+        });
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (!this.isOriginAllowed(req)) {
+            return this.sendJson(res, 403, { error: 'Origin not allowed' });
+        }
+        if (!this.isAuthorized(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return this.sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        if (url.pathname === this.endpoint) {
+            switch (req.method) {
+                case 'POST':
+                    return this.handlePost(req, res);
+                case 'GET':
+                    return this.handleGetStream(req, res);
+                case 'DELETE':
+                    return this.handleDelete(req, res);
+                default:
+                    res.setHeader('Allow', 'GET, POST, DELETE');
+                    return this.sendJson(res, 405, { error: 'Method not allowed' });
+            }
+        }
+        if (url.pathname === '/sse' && req.method === 'GET') {
+            return this.handleLegacyStream(req, res);
+        }
+        if (url.pathname === '/messages' && req.method === 'POST') {
+            return this.handleLegacyPost(req, res, url.searchParams.get('sessionId'));
+        }
+        return this.sendJson(res, 404, { error: 'Not found' });
+    }
+
+    // Streamable HTTP: one POST carries one message (or a batch). Requests are
+    // answered on an SSE stream if the client accepts one, so that progress
+    // notifications can be sent before the response; otherwise as JSON.
+    async handlePost(req, res) {
+        const messages = await this.readMessages(req, res);
+        if (!messages) return;
+
+        let session;
+        if (messages.some(message => message && message.method === 'initialize')) {
+            session = this.createSession('streamable');
+        } else {
+            session = this.findSession(req.headers['mcp-session-id'], res);
+            if (!session) return;
+        }
+        res.setHeader('Mcp-Session-Id', session.id);
+
+        const requests = messages.filter(m => m && m.method !== undefined && m.id !== undefined && m.id !== null);
+        if (requests.length === 0) {
+            messages.forEach(message => this.handler.onMessage(message, { session, send: (reply) => session.notify(reply) }));
+            res.writeHead(202).end();
+            return;
+        }
+
+        session.requests++;
+        try {
+            await this.answerRequests(req, res, session, messages);
+        } finally {
+            session.requests--;
+            session.lastActive = Date.now();
+        }
+    }
+
+    async answerRequests(req, res, session, messages) {
+        const accept = req.headers.accept || '';
+        if (accept.includes('text/event-stream')) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            const channel = { session, send: (reply) => this.writeEvent(res, reply) };
+            await Promise.all(messages.map(message => this.handler.onMessage(message, channel)));
+            res.end();
+        } else {
+            const replies = [];
+            const channel = {
+                session,
+                send: (reply) => {
+                    // Notifications can't go in a JSON response; use the GET stream if there is one
+                    if (reply.method !== undefined) session.notify(reply);
+                    else replies.push(reply);
+                }
+            };
+            await Promise.all(messages.map(message => this.handler.onMessage(message, channel)));
+            if (replies.length === 0) {
+                res.writeHead(202).end();
+            } else {
+                this.sendJson(res, 200, messages.batch ? replies : replies[0]);
+            }
+        }
+    }
+
+    // Streamable HTTP: a standalone SSE stream for messages that aren't
+    // replies to a particular POST, such as log messages
+    handleGetStream(req, res) {
+        if (!(req.headers.accept || '').includes('text/event-stream')) {
+            return this.sendJson(res, 406, { error: 'Client must accept text/event-stream' });
+        }
+        const session = this.findSession(req.headers['mcp-session-id'], res);
+        if (!session) return;
+
+        this.openStream(res, { 'Mcp-Session-Id': session.id });
+        session.streams.add(res);
+        req.on('close', () => {
+            session.streams.delete(res);
+            session.lastActive = Date.now();
+        });
+    }
+
+    handleDelete(req, res) {
+        const session = this.findSession(req.headers['mcp-session-id'], res);
+        if (!session) return;
+        this.closeSession(session);
+        res.writeHead(200).end();
+    }
+
+    // Legacy HTTP+SSE (protocol 2024-11-05): the client keeps a GET /sse
+    // stream open and POSTs messages to the endpoint announced on it
+    handleLegacyStream(req, res) {
+        const session = this.createSession('sse');
+        this.openStream(res);
+        session.streams.add(res);
+        res.write(`event: endpoint\ndata: /messages?sessionId=${session.id}\n\n`);
+        req.on('close', () => this.closeSession(session));
+    }
+
+    async handleLegacyPost(req, res, sessionId) {
+        const session = this.sessionMap.get(sessionId);
+        if (!session || session.kind !== 'sse') {
+            return this.sendJson(res, 404, { error: 'Unknown session' });
+        }
+        const messages = await this.readMessages(req, res);
+        if (!messages) return;
+        res.writeHead(202).end('Accepted');
+        session.lastActive = Date.now();
+        messages.forEach(message => this.handler.onMessage(message, { session, send: (reply) => session.notify(reply) }));
+    }
+
+    createSession(kind) {
+        if (this.sessionMap.size >= this.maxSessions) {
+            this.closeSession(this.leastRecentlyUsedSession());
+        }
+        const session = {
+            id: crypto.randomUUID(),
+            kind,
+            state: {},
+            streams: new Set(),
+            requests: 0,
+            lastActive: Date.now(),
+            notify: (message) => {
+                for (const stream of session.streams) this.writeEvent(stream, message);
+            }
+        };
+        this.sessionMap.set(session.id, session);
+        return session;
+    }
+
+    closeSession(session) {
+        if (!this.sessionMap.delete(session.id)) return;
+        for (const stream of session.streams) stream.end();
+        session.streams.clear();
+        if (this.handler && this.handler.onSessionClosed) {
+            this.handler.onSessionClosed(session);
+        }
+    }
+
+    // Idle sessions are preferred; failing that, the one idle the longest
+    leastRecentlyUsedSession() {
+        let oldest = null;
+        for (const session of this.sessionMap.values()) {
+            const idle = session.streams.size === 0 && session.requests === 0;
+            if (!oldest || (idle && !oldest.idle) || (idle === oldest.idle && session.lastActive < oldest.session.lastActive)) {
+                oldest = { session, idle };
+            }
+        }
+        return oldest.session;
+    }
+
+    closeIdleSessions(now = Date.now()) {
+        for (const session of this.sessionMap.values()) {
+            if (session.streams.size === 0 && session.requests === 0 && now - session.lastActive > this.sessionIdleMs) {
+                this.closeSession(session);
+            }
+        }
+    }
+
+    findSession(sessionId, res) {
+        if (!sessionId) {
+            this.sendJson(res, 400, { error: 'Missing Mcp-Session-Id header' });
+            return null;
+        }
+        const session = this.sessionMap.get(sessionId);
+        if (!session || session.kind !== 'streamable') {
+            this.sendJson(res, 404, { error: 'Unknown session' });
+            return null;
+        }
+        session.lastActive = Date.now();
+        return session;
+    }
+
+    // Reads and parses a JSON-RPC body. Answers the request itself and
+    // returns null if the body is unusable.
+    async readMessages(req, res) {
+        // Decoded once at the end, since a chunk may end inside a character
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                this.sendJson(res, 413, { error: 'Request body too large' });
+                return null;
+            }
+            chunks.push(chunk);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            this.sendJson(res, 400, { jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: "Parse error" } });
+            return null;
+        }
+        if (Array.isArray(parsed)) {
+            if (parsed.length === 0) {
+                this.sendJson(res, 400, { jsonrpc: "2.0", id: null, error: { code: INVALID_REQUEST, message: "Invalid Request" } });
+                return null;
+            }
+            const messages = [...parsed];
+            messages.batch = true;
+            return messages;
+        }
+        return [parsed];
+    }
+
+    isAuthorized(req) {
+        if (!this.token) return true;
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match) return false;
+        const given = Buffer.from(match[1].trim());
+        const expected = Buffer.from(this.token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // Browsers send Origin; rejecting foreign origins prevents DNS rebinding
+    // attacks against a server listening on localhost
+    isOriginAllowed(req) {
+        const origin = req.headers.origin;
+        if (!origin) return true;
+        if (this.allowedOrigins.includes(origin)) return true;
+        try {
+            return LOCAL_HOSTNAMES.includes(new URL(origin).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    openStream(res, headers = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            ...headers
+        });
+        res.flushHeaders();
+    }
+
+    writeEvent(res, message) {
+        // The response may have ended while a request was still running
+        if (res.writableEnded) return;
+        res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = HttpTransport;
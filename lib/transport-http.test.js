@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const HttpTransport = require('./transport-http.js');
+
+const TOKEN = 'secret';
+
+// Starts a transport on a free port whose handler answers every request
+// with its method name
+async function startTransport(t, options = {}) {
+    const closed = [];
+    const transport = new HttpTransport({ port: 0, token: TOKEN, ...options });
+    await transport.start({
+        onMessage: async (message, channel) => {
+            if (message.id !== undefined) channel.send({ jsonrpc: '2.0', id: message.id, result: { method: message.method } });
+        },
+        onSessionClosed: session => closed.push(session.id)
+    });
+    t.after(() => transport.close());
+    const url = `http://127.0.0.1:${transport.port}`;
+    return { transport, url, closed };
+}
+
+function post(url, body, headers = {}) {
+    return fetch(`${url}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}`, ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+async function initialize(url) {
+    const response = await post(url, { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    return response.headers.get('mcp-session-id');
+}
+
+test('initialize creates a session and later requests need its id', async (t) => {
+    const { url } = await startTransport(t);
+    const response = await post(url, { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { jsonrpc: '2.0', id: 1, result: { method: 'initialize' } });
+    const sessionId = response.headers.get('mcp-session-id');
+    assert.match(sessionId, /^[0-9a-f-]{36}$/);
+
+    const ping = await post(url, { jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    assert.deepStrictEqual(await ping.json(), { jsonrpc: '2.0', id: 2, result: { method: 'ping' } });
+    assert.strictEqual((await post(url, { jsonrpc: '2.0', id: 3, method: 'ping' })).status, 400);
+    assert.strictEqual((await post(url, { jsonrpc: '2.0', id: 3, method: 'ping' }, { 'Mcp-Session-Id': 'nope' })).status, 404);
+});
+
+test('requests are answered on an SSE stream when the client accepts one', async (t) => {
+    const { url } = await startTransport(t);
+    const response = await post(url, { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { Accept: 'application/json, text/event-stream' });
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+    assert.strictEqual(await response.text(), `event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: 1, result: { method: 'initialize' } })}\n\n`);
+});
+
+test('requests without the token are rejected', async (t) => {
+    const { url } = await startTransport(t);
+    const response = await post(url, { jsonrpc: '2.0', id: 1, method: 'initialize' }, { Authorization: 'Bearer wrong' });
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer');
+    const missing = await fetch(`${url}/mcp`, { method: 'POST', body: '{}' });
+    assert.strictEqual(missing.status, 401);
+});
+
+test('requests from foreign origins are rejected', async (t) => {
+    const { url } = await startTransport(t, { allowedOrigins: ['https://allowed.example'] });
+    const message = { jsonrpc: '2.0', id: 1, method: 'initialize' };
+    assert.strictEqual((await post(url, message, { Origin: 'https://evil.example' })).status, 403);
+    assert.strictEqual((await post(url, message, { Origin: 'https://allowed.example' })).status, 200);
+    assert.strictEqual((await post(url, message, { Origin: 'http://localhost:8080' })).status, 200);
+});
+
+test('the legacy SSE stream announces its message endpoint', async (t) => {
+    const { transport, url } = await startTransport(t);
+    const controller = new AbortController();
+    const response = await fetch(`${url}/sse`, { headers: { Authorization: `Bearer ${TOKEN}` }, signal: controller.signal });
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    const [session] = transport.sessions;
+    assert.strictEqual(new TextDecoder().decode(value), `event: endpoint\ndata: /messages?sessionId=${session.id}\n\n`);
+    controller.abort();
+});
+
+test('DELETE ends the session', async (t) => {
+    const { transport, url, closed } = await startTransport(t);
+    const sessionId = await initialize(url);
+    const headers = { Authorization: `Bearer ${TOKEN}`, 'Mcp-Session-Id': sessionId };
+    assert.strictEqual((await fetch(`${url}/mcp`, { method: 'DELETE', headers })).status, 200);
+    assert.deepStrictEqual(closed, [sessionId]);
+    assert.strictEqual(transport.sessions.length, 0);
+    assert.strictEqual((await fetch(`${url}/mcp`, { method: 'DELETE', headers })).status, 404);
+});
+
+test('idle sessions expire', async (t) => {
+    const { transport, url, closed } = await startTransport(t, { sessionIdleMs: 1000 });
+    const sessionId = await initialize(url);
+    transport.closeIdleSessions(Date.now() + 500);
+    assert.deepStrictEqual(closed, []);
+    transport.closeIdleSessions(Date.now() + 1500);
+    assert.deepStrictEqual(closed, [sessionId]);
+    assert.strictEqual((await post(url, { jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId })).status, 404);
+});
+
+test('the least recently used session is closed beyond the limit', async (t) => {
+    const { transport, url, closed } = await startTransport(t, { maxSessions: 2 });
+    const first = await initialize(url);
+    const second = await initialize(url);
+    transport.sessionMap.get(first).lastActive -= 1000;
+    transport.sessionMap.get(second).lastActive -= 2000;
+    const third = await initialize(url);
+    assert.deepStrictEqual(closed, [second]);
+    assert.deepStrictEqual(transport.sessions.map(session => session.id), [first, third]);
+});
+
+test('characters split between body chunks arrive intact', async (t) => {
+    const { transport, url } = await startTransport(t);
+    const received = [];
+    transport.handler.onMessage = async (message, channel) => {
+        received.push(message);
+        channel.send({ jsonrpc: '2.0', id: message.id, result: {} });
+    };
+    const body = Buffer.from(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { name: 'größe_π' } }));
+    const split = body.indexOf(Buffer.from('π')) + 1;
+    const request = http.request(`${url}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}`, 'Content-Length': body.length }
+    });
+    const response = new Promise(resolve => request.on('response', resolve));
+    request.write(body.subarray(0, split));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    request.end(body.subarray(split));
+    (await response).resume();
+    assert.strictEqual(received[0].params.name, 'größe_π');
+});
@@ -0,0 +1,74 @@
+const { PARSE_ERROR } = require('./jsonrpc.js');
+
+// Newline-delimited JSON-RPC over stdin/stdout. There is exactly one
+// client, so there is a single session for the lifetime of the process.
+class StdioTransport {
+    constructor(options = {}) {
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.session = {
+            id: 'stdio',
+            state: {},
+            notify: (message) => this.write(message)
+        };
+    }
+
+    get sessions() {
+        return [this.session];
+    }
+
+    start(handler) {
+        // Messages are newline-delimited, but a `data` chunk may end in the
+        // middle of one, so keep the incomplete tail until the rest arrives.
+        let buffer = '';
+        this.input.setEncoding('utf8');
+        this.input.on('data', (data) => {
+            buffer += data;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+                this.handleLine(line, handler);
+            }
+        });
+        this.input.on('end', () => {
+            this.handleLine(buffer, handler);
+            buffer = '';
+        });
+        return Promise.resolve();
+    }
+
+    handleLine(line, handler) {
+        if (!line.trim()) return;
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            this.write({
+                jsonrpc: "2.0",
+                id: null,
+                error: {
+                    code: PARSE_ERROR,
+                    message: "Parse error"
+                }
+            });
+            return;
+        }
+        handler.onMessage(message, { session: this.session, send: (reply) => this.write(reply) });
+    }
+
+    write(message) {
+        this.output.write(JSON.stringify(message) + '\n');
+    }
+
+    describe() {
+        return 'stdio';
+    }
+
+    close() {
+        this.input.pause();
+        return Promise.resolve();
+    }
+}
+
+module.exports = StdioTransport;
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { loadIgnoreRules } = require('./ignore.js');
+
+// Watches a project tree with a single recursive fs.watch and reports
+// project-relative paths that are not ignored. Returns the FSWatcher, or
+// throws when recursive watching is not available on this platform/Node
+// version. `onError` is called if the watcher dies later (e.g. inotify
+// limits), after which no more changes are reported.
+function watchProject(projectDir, onChange, onError, extraIgnores = []) {
+    let isIgnored = loadIgnoreRules(projectDir, extraIgnores);
+
+    const watcher = fs.watch(projectDir, { recursive: true, persistent: false }, (eventType, filename) => {
+        if (!filename) return;
+        const relative = filename.toString().split(path.sep).join('/');
+        if (relative === '.gitignore') {
+            isIgnored = loadIgnoreRules(projectDir, extraIgnores);
+        }
+        let isDirectory = false;
+        try {
+            isDirectory = fs.statSync(path.join(projectDir, relative)).isDirectory();
+        } catch (error) {
+            // Deleted paths are reported as plain files
+        }
+        if (!isIgnored(relative, isDirectory)) {
+            onChange(relative);
+        }
+    });
+    watcher.on('error', (error) => {
+        watcher.close();
+        onError(error);
+    });
+    return watcher;
+}
+
+module.exports = {
+    watchProject
+};
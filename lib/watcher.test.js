@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GtagsProject = require('./project.js');
+const { watchProject } = require('./watcher.js');
+
+test('changes are reported unless ignored', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-watch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, '.gitignore'), '*.o\n');
+
+    const changes = [];
+    let watcher;
+    try {
+        watcher = watchProject(dir, file => changes.push(file), () => {}, ['generated/']);
+    } catch (error) {
+        t.skip(`recursive fs.watch is not available: ${error.message}`);
+        return;
+    }
+    t.after(() => watcher.close());
+
+    fs.writeFileSync(path.join(dir, 'GTAGS'), '');
+    fs.writeFileSync(path.join(dir, 'src', 'a.o'), '');
+    fs.mkdirSync(path.join(dir, 'generated'));
+    fs.writeFileSync(path.join(dir, 'generated', 'x.c'), '');
+    fs.writeFileSync(path.join(dir, 'src', 'main.c'), 'int main;\n');
+
+    const deadline = Date.now() + 5000;
+    while (!changes.includes('src/main.c') && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(changes.includes('src/main.c'));
+    assert.deepStrictEqual(changes.filter(file => file !== 'src/main.c' && file !== 'src'), []);
+});
+
+test('failed file updates rebuild the index only when it is broken', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtags-mcp-watch-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'main.c'), 'int main;\n');
+    const project = new GtagsProject(dir);
+    let rebuilds = 0;
+    project.rebuildGtagsDatabase = async () => { rebuilds++; };
+    const log = t.mock.method(process.stderr, 'write', () => true);
+    const flushFailing = async (error) => {
+        project.updateFile = async () => { throw error; };
+        project.pendingFiles.add('main.c');
+        await project.flushFileUpdates();
+    };
+
+    fs.writeFileSync(path.join(dir, 'GTAGS'), '');
+    const missing = new Error('global is not installed or not on PATH');
+    missing.code = 'ENOENT';
+    await flushFailing(missing);
+    await flushFailing(new Error('Command failed with code 1: global: cannot open main.c\n'));
+    assert.strictEqual(rebuilds, 0);
+    assert.deepStrictEqual(log.mock.calls.map(call => call.arguments[0]), [
+        'Index update error: global is not installed or not on PATH\n',
+        'Index update error: Command failed with code 1: global: cannot open main.c\n'
+    ]);
+
+    await flushFailing(new Error('Command failed with code 1: global: GTAGS seems corrupted.\n'));
+    fs.rmSync(path.join(dir, 'GTAGS'));
+    await flushFailing(new Error('Command failed with code 1: global: GTAGS not found.\n'));
+    assert.strictEqual(rebuilds, 2);
+});